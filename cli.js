@@ -0,0 +1,579 @@
+#!/usr/bin/env node
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { basename, resolve } from "node:path";
+import { writeSync } from "node:fs";
+import { stat } from "node:fs/promises";
+import { Command } from "commander";
+import chalk from "chalk";
+import { describe, doctor, encode, plan, CancelledError, DEFAULT_OPTIONS } from "./index.js";
+import { collect_inputs, load_queue, output_paths, save_queue } from "./lib/queue.js";
+import { shell_quote, toHHMMSS } from "./lib/util.js";
+import { kill_all } from "./lib/proc.js";
+import { find_config, load_config, resolve_profile } from "./lib/config.js";
+
+// misc constants
+const LOG_PREFIX = chalk.green("[HDRS]");
+
+const X265_PREFIX = chalk.cyan("[x265]");
+
+const MKV_PREFIX = chalk.magenta("[MKVT]");
+
+const AUDIO_PREFIX = chalk.blue("[AUDI]");
+
+const SCENE_PREFIX = chalk.yellow("[SCNE]");
+
+const CLL_PREFIX = chalk.red("[MCLL]");
+
+// json events go to this fd, text moves to stderr when it's stdout
+let json_fd = null;
+let print = console.log;
+let errors = [];
+
+// write one NDJSON event
+function emit_json(event, data = {}) {
+    if (json_fd !== null) {
+        writeSync(json_fd, JSON.stringify({ event, time: new Date().toISOString(), ...data }) + "\n");
+    }
+}
+
+// progress lines are overwritten with \r, the next log has to start a new line
+let progress_active = false;
+function progress(str) {
+    if (json_fd === 1) {
+        return;
+    }
+    process.stdout.write(`\r${str}`);
+    progress_active = true;
+}
+function end_progress() {
+    if (progress_active) {
+        process.stdout.write("\n");
+        progress_active = false;
+    }
+}
+
+// log wrappers for adding prefix
+function log(...msg) {
+    end_progress();
+    print(LOG_PREFIX, ...msg);
+    emit_json("log", { level: "info", message: msg.join(" ") });
+}
+function err(...msg) {
+    end_progress();
+    console.error(LOG_PREFIX, chalk.red("[ERROR]"), ...msg);
+    errors.push(msg.join(" "));
+    emit_json("log", { level: "error", message: msg.join(" ") });
+}
+function debug(...msg) {
+    end_progress();
+    print(LOG_PREFIX, chalk.gray("[DEBUG]"), ...msg);
+}
+function warn(...msg) {
+    end_progress();
+    print(LOG_PREFIX, chalk.yellow("[WARNING]"), ...msg);
+    emit_json("log", { level: "warning", message: msg.join(" ") });
+}
+
+// job currently encoding, signals cancel it
+let current_job = null;
+let interrupted = null;
+
+// forward ctrl-c and friends to the children, a second one exits right away
+// after a last synchronous cleanup of the current job's temp files
+function on_signal(signal) {
+    if (interrupted) {
+        if (current_job) {
+            current_job.remove_temps_sync();
+        }
+        process.exit(130);
+    }
+    interrupted = signal;
+    warn(`Got ${signal}, stopping`);
+    if (current_job) {
+        current_job.cancel(signal);
+    }
+    kill_all(signal);
+}
+
+// progress events to the old progress lines
+const PROGRESS = {
+    measure: p => `${CLL_PREFIX} ${p.frame} / ${p.frames}`,
+    scenes: p => `${SCENE_PREFIX} ${p.time} / ${toHHMMSS(p.duration)}, ${p.speed}x`,
+    transcode: p => `${X265_PREFIX} ${p.frame} / ${p.frames}, ${p.fps.toFixed(2)} fps, ${p.kbps.toFixed(2)} kb/s, eta: ${toHHMMSS(p.eta)}` + (p.workers !== undefined ? `, workers: ${p.workers}` : ""),
+    audio: p => `${AUDIO_PREFIX} ${p.time} / ${toHHMMSS(p.duration)}, ${p.speed}x`,
+    merge: p => `${MKV_PREFIX} Progress: ${p.percent}%`
+};
+
+// what to say when a stage starts and ends
+const STAGE_LOGS = {
+    measure: ["Measuring MaxCLL and MaxFALL, this decodes the whole video", null],
+    extract: ["Extracting HDR metadata, this may take a while...", null],
+    transcode: ["Starting transcode, this will take a while", "Done transcoding"],
+    inject: ["Injecting HDR metadata if any", null],
+    audio: [null, "Done audio transcoding"],
+    merge: ["Merging source and temp to output", "Merge done"],
+    cleanup: ["Cleaning up", null]
+};
+
+// print a summary table of all jobs
+function print_summary(jobs) {
+    const rows = jobs.map(j => [j.status, basename(j.input), j.error || basename(j.output)]);
+    const head = ["STATUS", "INPUT", "RESULT"];
+    const w = head.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+    const colors = { done: chalk.green, failed: chalk.red, skipped: chalk.gray };
+    log("Summary:");
+    print(head.map((h, i) => h.padEnd(w[i])).join("  "));
+    for (const r of rows) {
+        const line = r.map((c, i) => c.padEnd(w[i])).join("  ");
+        print(colors[r[0]] ? colors[r[0]](line) : line);
+    }
+    const count = s => jobs.filter(j => j.status === s).length;
+    log(`${count("done")} done, ${count("failed")} failed, ${count("skipped")} skipped`);
+}
+
+// plan and encode a single file, printing everything on the way
+async function run_job(input, output, opts) {
+
+    // log cause why not
+    log(`Input file: ${input}`);
+    log(`Output file: ${output}`);
+
+    // run ffprobe and build the arguments
+    log("Extracting file metadata");
+    const p = await plan(input, { ...opts, output });
+    for (const m of p.messages) {
+        (m.level === "warning" ? warn : log)(m.message);
+    }
+    emit_json("hdr", { input, formats: p.hdr.formats, dolby_vision: p.hdr.dv, hdr10plus: p.hdr.plus });
+    if (opts.verbose) {
+        debug("pix_fmt", p.pix_fmt);
+        debug("ffmpeg args:", p.ff_args);
+        debug("x265 args:", p.x265_args);
+    }
+
+    // give duration and rough framecount estimate
+    log(
+        `Length: ${p.length}s, ` +
+        `Frames: ~${p.frames}`
+    );
+
+    const job = encode(p);
+    job.on("stage", e => {
+        emit_json("stage", { input, ...e });
+        if (e.stage === "audio" && p.audio.length < 1) {
+            return;
+        }
+        const msg = STAGE_LOGS[e.stage][e.state === "start" ? 0 : 1];
+        if (msg) {
+            log(msg);
+        }
+    });
+    job.on("progress", e => {
+        emit_json("progress", { input, ...e });
+        if (!opts.verbose || e.stage === "merge") {
+            progress(PROGRESS[e.stage](e));
+        }
+    });
+    job.on("info", e => log(e.message));
+    job.on("warning", e => warn(e.message));
+    job.on("end", e => emit_json("output", { input, path: e.output, size: e.size, duration: e.duration }));
+    current_job = job;
+    try {
+        await job.done;
+    } finally {
+        current_job = null;
+    }
+}
+
+// print everything a job would run, without running it
+async function dry_run(input, output, opts) {
+    const p = await plan(input, { ...opts, output, resume: false });
+    const d = describe(p);
+    if (opts.dryRun === "json") {
+        console.log(JSON.stringify({ ...d, messages: p.messages }));
+        return;
+    }
+
+    log(`Dry run for ${input}`);
+    for (const m of p.messages) {
+        (m.level === "warning" ? warn : log)(m.message);
+    }
+    const section = (title, lines) => {
+        if (lines.length > 0) {
+            console.log(chalk.bold(title));
+            for (const l of lines) {
+                console.log(`  ${l}`);
+            }
+        }
+    };
+    const pipe = cmds => cmds.map(shell_quote).join(" | ");
+    section("Output", [d.output]);
+    section("Length", [`${d.length}s, ${d.fps} fps, ~${d.frames} frames`]);
+    if (d.trim) {
+        section("Trim", [`source frames ${d.trim.start} to ${d.trim.end !== null ? d.trim.end - 1 : "the end"}, dynamic metadata, audio, subtitles and chapters are cut to match`]);
+    }
+    section("HDR", [d.hdr.length > 0 ? d.hdr.join(", ") : "none"]);
+    if (d.crop) {
+        section("Crop", [`${d.crop.w}x${d.crop.h} at ${d.crop.x},${d.crop.y}`]);
+    }
+    if (d.tonemap) {
+        section("Tonemap", [`${d.tonemap.dynamic ? `${d.tonemap.dynamic} metadata` : d.tonemap.algo} to BT.709 SDR, ${d.tonemap.pix_fmt}`]);
+    }
+    if (d.resize) {
+        section("Resize", [`${d.resize.from_w}x${d.resize.from_h} to ${d.resize.w}x${d.resize.h}${d.resize.linear ? " in linear light" : ""}`]);
+    }
+    if (d.measure) {
+        section("Measure", [shell_quote(d.measure)]);
+    }
+    section("Extract", d.extract.map(e => `# ${e.name}\n  ${pipe(e.pipe)}`));
+    section("Transcode", [
+        ...(d.transcode.chunked ? [`# scene based chunks, ${d.transcode.workers} workers`] : []),
+        pipe(d.transcode.pipe)
+    ]);
+    if (d.generate) {
+        section("Generate", [shell_quote(d.generate)]);
+    }
+    section("Inject", d.inject.map(shell_quote));
+    // a track list of null keeps every source track of that type
+    const sources = type => p.probe.streams.filter(s => s.codec_type === type).map(s => s.index);
+    const streams = list => list.length > 0 ? list.map(i => `stream ${i}`).join(", ") : "none";
+    const copied = d.tracks.audio ?? sources("audio");
+    const encoded = d.audio.map(a => a.index);
+    const subtitles = d.tracks.subtitles ?? sources("subtitle");
+    section("Audio", [
+        ...(sources("audio").length > 0 ? [
+            `# copied: ${streams(copied)}`,
+            `# dropped: ${streams(sources("audio").filter(i => !copied.includes(i) && !encoded.includes(i)))}`
+        ] : []),
+        ...d.audio.map(a => `# stream ${a.index} (${a.tags.language}) to ${a.codec}, ${a.channels} channel${a.channels === 1 ? "" : "s"}` + (a.bitrate ? ` at ${a.bitrate}k` : "") + (a.fallback ? ", compatibility track" : "") + `\n  ${shell_quote(a.command)}`)
+    ]);
+    section("Subtitles", sources("subtitle").length > 0 ? [
+        `# kept: ${streams(subtitles)}`,
+        `# dropped: ${streams(sources("subtitle").filter(i => !subtitles.includes(i)))}`
+    ] : []);
+    section("Merge", [shell_quote(d.merge)]);
+}
+
+// check every external tool, "hdr-sucks doctor"
+async function run_doctor(argv) {
+    const opts = new Command()
+        .name("hdr-sucks doctor")
+        .description("check the external tools and what they can do")
+        .option("--json", "print the report as json")
+        .parse(argv, { from: "user" })
+        .opts();
+    const report = await doctor();
+    if (opts.json) {
+        console.log(JSON.stringify(report));
+    } else {
+        for (const t of report) {
+            if (!t.found && t.needed_for) {
+                warn(`${t.name} not found at "${t.path}", only needed for ${t.needed_for}`);
+                continue;
+            }
+            if (t.found) {
+                const extra = [];
+                if (t.depths && t.depths.length > 0) {
+                    extra.push(`${t.depths.join("/")} bit`);
+                }
+                if (t.encoders) {
+                    extra.push(t.encoders.includes("libopus") ? "libopus" : "no libopus");
+                }
+                if (t.filters) {
+                    extra.push(...["zscale", "libplacebo"].map(f => t.filters.includes(f) ? f : `no ${f}`));
+                }
+                log(`${t.name} ${t.version || "(unknown version)"} at "${t.path}"${extra.length > 0 ? ` [${extra.join(", ")}]` : ""}`);
+            }
+            t.problems.forEach(p => err(p));
+        }
+    }
+    if (report.some(t => t.problems.length > 0)) {
+        process.exitCode = 1;
+    } else if (!opts.json) {
+        log("All tools look fine");
+    }
+}
+
+// main function
+(async () => {
+
+    // global error wrapper
+    try {
+        // doctor is its own little command, everything else is an encode
+        if (process.argv[2] === "doctor") {
+            return await run_doctor(process.argv.slice(3));
+        }
+
+        // parse command line arguments
+        const program = await new Command()
+            .name("hdr-sucks")
+            .argument("<input...>", "input files, directories or glob patterns, a second path that doesn't exist is taken as the output (deprecated)")
+            .addHelpText("after", "\nRun \"hdr-sucks doctor\" to check the external tools.")
+
+            // output options
+            .option("--output <path>", "output file path, only with a single input")
+            .option("--output-dir <path>", "output directory, directory inputs keep their structure")
+
+            // queue options
+            .option("--queue <path>", "job queue state file, finished jobs are skipped on rerun", ".hdr-sucks-queue.json")
+            .option("--no-queue", "don't keep a job queue state file")
+            .option("--force", "rerun jobs the queue marks as done")
+            .option("--resume", "continue an interrupted job from its manifest")
+            .option("--keep-temp", "keep temp files and the manifest when a job fails")
+            .option("--dry-run [format]", "only print what would be run, as \"text\" or \"json\"")
+
+            // config
+            .option("-c, --config <path>", "config file, otherwise hdr-sucks.json here or in $XDG_CONFIG_HOME/hdr-sucks/config.json")
+            .option("-P, --profile <name>", "encoding profile from the config file")
+
+            // quality options
+            .option("-p, --preset <string>", "x265 preset to use", DEFAULT_OPTIONS.preset)
+            .option("-q, --crf <number>", "x265 crf quality", DEFAULT_OPTIONS.crf)
+
+            // specific settings
+            .option("--video-stream <index>", "stream index of the video to encode, otherwise the first one that isn't cover art")
+            .option("--crop <mode>", "crop black bars, \"auto\", \"none\" or W:H:X:Y", DEFAULT_OPTIONS.crop)
+            .option("--resize <WxH>", "scale the picture, -2 on one side keeps the aspect ratio, like 1920x-2")
+            .option("--max-height <px>", "scale down so the full frame is at most this tall, crops shrink with it")
+            .option("--dv-mode <mode>", "Dolby Vision handling, \"convert\" to profile 8.1, \"drop\" or \"keep\" as is", DEFAULT_OPTIONS.dvMode)
+            .option("--hdr-scan <mode>", "look for HDR formats in \"sample\" points across the title, the \"full\" stream or the \"first\" frame", DEFAULT_OPTIONS.hdrScan)
+            .option("--hdr-mismatch <mode>", "when dynamic metadata doesn't match the frame count, \"error\" or \"pad\" to repeat or cut it at the end", DEFAULT_OPTIONS.hdrMismatch)
+            .option("--vfr <mode>", "variable frame rate timestamps are kept, \"auto\" checks them when the frame rates disagree, \"scan\" always and \"off\" never", DEFAULT_OPTIONS.vfr)
+            .option("--measure-cll", "measure MaxCLL and MaxFALL of the picture for --max-cll, decodes everything once more")
+            .option("--generate-dv", "generate Dolby Vision profile 8.1 from HDR10+ or HDR10 metadata, HDR10 players still get the base layer")
+            .option("--sdr", "tonemap to 8 or 10 bit BT.709 SDR, like --keep-bit would for an 8 bit source")
+            .option("--tonemap <curve>", "SDR output with this tonemapping curve, hable, mobius or bt2390 (libplacebo)")
+            .option("--tonemap-dynamic", "guide SDR tonemapping per scene with Dolby Vision or HDR10+ metadata (libplacebo)")
+            .option("--scaler <name>", "scaling filter, point, bilinear, bicubic, spline16, spline36 or lanczos", DEFAULT_OPTIONS.scaler)
+            .option("--keep-bit", "8 bit is processed to 10 bit by default, this keeps 8 bit and enables aq mode 3")
+            .option("--deinterlace <mode>", "\"auto\" looks for interlacing and telecine with idet, \"off\", \"deinterlace\" or \"ivtc\" for inverse telecine", DEFAULT_OPTIONS.deinterlace)
+            .option("--double-fps", "double fps for interlaced video")
+
+            // trimming, positions are seconds, [HH:]MM:SS[.ms] or frame numbers like 1200f
+            .option("-ss, --seek <position>", "start position")
+            .option("-t, --time <length>", "length to encode from the start position")
+            .option("--end <position>", "end position, instead of a length")
+
+            // chunked encoding
+            .option("-w, --workers <number>", "encode scene based chunks with this many x265 instances at once", DEFAULT_OPTIONS.workers)
+            .option("--min-chunk <seconds>", "minimum chunk length for chunked encoding", DEFAULT_OPTIONS.minChunk)
+            .option("--scene-threshold <number>", "ffmpeg scene score needed for a cut", DEFAULT_OPTIONS.sceneThreshold)
+
+            // extra
+            .option("-o, --args <string>", "extra x265 parameters as key=value:flag:no-flag, escape colons in values with \\:")
+            .option("--x265 <param>", "single x265 parameter as key=value, flag or no-flag, can be repeated", (v, list) => [...list, v], [])
+
+            // source tracks, selectors are key=value pairs of type, index, codec, channels, lang and disposition
+            .option("--audio-langs <list>", "only keep audio tracks in these languages, like eng,jpn, und for untagged ones")
+            .option("--sub-langs <list>", "only keep subtitle tracks in these languages")
+            .option("--keep <selector>", "always keep tracks like this, can be repeated", (v, list) => [...list, v], [])
+            .option("--drop <selector>", "drop tracks like type=subtitle,codec=pgs or disposition=commentary, can be repeated", (v, list) => [...list, v], [])
+            .option("--track-order <order>", "\"source\", \"language\" to follow the language lists, or stream indexes like 3,1,2", DEFAULT_OPTIONS.trackOrder)
+            .option("--default-track <selector>", "the first audio and subtitle track like this becomes the only default one, can be repeated", (v, list) => [...list, v], [])
+            .option("--forced-track <selector>", "tracks like this are the only forced ones of their type, can be repeated", (v, list) => [...list, v], [])
+            .option("--no-chapters", "don't copy chapters")
+            .option("--no-attachments", "don't copy attachments like fonts")
+            .option("--no-global-tags", "don't copy global tags")
+            .option("--title <text>", "set the file title")
+
+            // debug options
+            .option("-v, --verbose", "more debug info")
+            .option("--progress <mode>", "progress output, \"text\" or \"json\" for NDJSON events", "text")
+            .option("--progress-fd <fd>", "write json events to this file descriptor instead of stdout")
+
+            // audio
+            .option("--audio <rule>", "audio rule like codec=truehd,action=copy,fallback=opus or channels=6+,action=opus,bitrate=96, first match wins, can be repeated", (v, list) => [...list, v], [])
+            .option("--opus", "encode every audio track not matched by a rule to opus")
+            .option("--opus-bitrate <kbps>", "opus bitrate for stereo, scaled by the channel count", DEFAULT_OPTIONS.opusBitrate)
+
+            .parseAsync();
+        const args = program.processedArgs;
+        const opts = program.opts();
+
+        // apply the profile, explicit flags still win
+        const config_file = await find_config(opts.config);
+        const config = config_file ? await load_config(config_file) : null;
+        const profile = opts.profile || (config && config.profile);
+        if (profile) {
+            if (!config) {
+                return err(`Profile "${profile}" requested but no config file was found`);
+            }
+            const schema = {};
+            for (const o of program.options) {
+                const name = o.attributeName();
+                // a --no-* option shares its attribute with the plain one, which decides the type
+                if (!["config", "profile"].includes(name) && !(o.negate && program.options.some(x => !x.negate && x.attributeName() === name))) {
+                    schema[name] = Array.isArray(o.defaultValue) ? "list" : o.required || o.optional ? "string" : "boolean";
+                }
+            }
+            const values = resolve_profile(config, profile, schema);
+            for (const [k, v] of Object.entries(values)) {
+                if (k === "x265") {
+                    // profile params go first so --x265 on the command line overrides them
+                    opts.x265 = [v, ...opts.x265];
+                } else if (schema[k] === "list") {
+                    // and repeatable ones after the command line ones, the first match wins
+                    opts[k] = [...opts[k], ...v];
+                } else if (program.getOptionValueSource(k) !== "cli") {
+                    opts[k] = v;
+                }
+            }
+        }
+
+        // pick the output streams before anything is logged, json progress first
+        if (opts.progress === "json") {
+            json_fd = opts.progressFd !== undefined ? Number(opts.progressFd) : 1;
+            if (!Number.isInteger(json_fd) || json_fd < 0) {
+                json_fd = null;
+                return err("Invalid progress file descriptor");
+            }
+            if (json_fd === 1) {
+                print = console.error;
+            }
+        } else if (opts.progress !== "text") {
+            return err(`Unknown progress mode "${opts.progress}"`);
+        }
+
+        // dry run output is plain, json goes to stdout alone
+        if (opts.dryRun === true) {
+            opts.dryRun = "text";
+        }
+        if (opts.dryRun === "json") {
+            print = console.error;
+        } else if (opts.dryRun && opts.dryRun !== "text") {
+            return err(`Unknown dry run format "${opts.dryRun}"`);
+        }
+
+        if (profile) {
+            log(`Using profile "${profile}" from ${config.file}`);
+        }
+        if (opts.verbose) {
+            debug("args:", args);
+            debug("opts:", opts)
+        }
+
+        process.on("SIGINT", on_signal);
+        process.on("SIGTERM", on_signal);
+
+        // "hdr-sucks <input> <output>" from before batch mode still works for now,
+        // a second path that doesn't exist yet can only be meant as the output
+        let input_args = args[0];
+        if (input_args.length === 2 && !/[*?[{]/.test(input_args[1]) && !await stat(input_args[1]).catch(() => null)) {
+            if (opts.output) {
+                return err(`${input_args[1]} doesn't exist and can't be an input, a positional output and --output can't both be given`);
+            }
+            warn(`Taking ${input_args[1]} as the output, a positional output is deprecated, use --output instead`);
+            opts.output = input_args[1];
+            input_args = [input_args[0]];
+        }
+
+        // figure out all the files to process
+        const inputs = await collect_inputs(input_args);
+        if (inputs.length < 1) {
+            return err("No input files found");
+        }
+        if (opts.output && inputs.length > 1) {
+            return err("--output can only be used with a single input, use --output-dir instead");
+        }
+        const outputs = output_paths(inputs, opts);
+
+        // dry run skips the queue completely
+        if (opts.dryRun) {
+            for (const [n, i] of inputs.entries()) {
+                try {
+                    await dry_run(i.input, outputs[n], opts);
+                } catch (e) {
+                    err(e instanceof Error ? e.message : e);
+                }
+            }
+            return;
+        }
+
+        // load previous state and build the job list
+        const queue_file = opts.queue ? resolve(opts.queue) : null;
+        const state = queue_file ? await load_queue(queue_file) : {};
+        const jobs = inputs.map((i, n) => ({
+            input: i.input,
+            output: outputs[n],
+            status: "pending",
+            error: null
+        }));
+        if (jobs.length > 1) {
+            log(`Queued ${jobs.length} files`);
+        }
+
+        // work through the queue
+        for (let i = 0; i < jobs.length && !interrupted; i++) {
+            const job = jobs[i];
+            const prev = state[job.input];
+            if (!opts.force && prev && prev.status === "done" && prev.output === job.output && await stat(job.output).catch(() => null)) {
+                job.status = "skipped";
+                log(`Skipping ${job.input}, already done`);
+                emit_json("job", { input: job.input, output: job.output, state: "end", status: job.status, error: null });
+                continue;
+            }
+            if (jobs.length > 1) {
+                log(chalk.bold(`Job ${i + 1} / ${jobs.length}`));
+            }
+
+            emit_json("job", { input: job.input, output: job.output, state: "start" });
+            state[job.input] = { output: job.output, status: "running", error: null, started: new Date().toISOString() };
+            if (queue_file) {
+                await save_queue(queue_file, state);
+            }
+            try {
+                if (interrupted) {
+                    throw new CancelledError();
+                }
+                await run_job(job.input, job.output, opts);
+                job.status = "done";
+            } catch (e) {
+                job.status = "failed";
+                job.error = e instanceof Error ? e.message : String(e);
+                err(job.error);
+            }
+            emit_json("job", { input: job.input, output: job.output, state: "end", status: job.status, error: job.error });
+            state[job.input].status = job.status;
+            state[job.input].error = job.error;
+            state[job.input].finished = new Date().toISOString();
+            if (queue_file) {
+                await save_queue(queue_file, state);
+            }
+        }
+
+        // summary for batches
+        if (jobs.length > 1) {
+            print_summary(jobs);
+        }
+        if (jobs.some(j => j.status === "failed")) {
+            process.exitCode = 1;
+        }
+
+    } catch (e) {
+        err(e instanceof Error ? e.message : e);
+        process.exitCode = 1;
+    } finally {
+        // final status for json consumers, early returns included
+        if (errors.length > 0) {
+            process.exitCode = 1;
+        }
+        if (interrupted) {
+            process.exitCode = 130;
+        }
+        emit_json("exit", { status: process.exitCode || 0, errors });
+    }
+
+})();
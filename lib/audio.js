@@ -0,0 +1,153 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { FFMPEG, FFMPEG_REGEX } from "./tools.js";
+import { spawn_tool, supervise } from "./proc.js";
+import { match_selector, rule_entries, selector_value, SELECTOR_KEYS } from "./tracks.js";
+import { InputError } from "./errors.js";
+
+// what a track can be turned into, copy keeps it as it is
+export const AUDIO_ACTIONS = ["copy", "opus", "aac", "flac"];
+
+// ffmpeg encoder per codec
+const ENCODERS = { opus: "libopus", aac: "aac", flac: "flac" };
+
+// stereo bitrates in kbps, opus comes from --opus-bitrate, flac has none
+const STEREO_BITRATES = { aac: 192 };
+
+// layouts ffmpeg downmixes to, opus needs one of these above stereo
+const LAYOUTS = { 1: "mono", 2: "stereo", 3: "3.0", 4: "quad", 5: "5.0", 6: "5.1", 7: "6.1", 8: "7.1" };
+
+// keys a rule can have, besides the ones picking tracks
+const RULE_KEYS = [...SELECTOR_KEYS.filter(k => k !== "type"), "action", "bitrate", "downmix", "fallback"];
+
+// lossless codecs, dts only with its master audio extension
+const LOSSLESS = ["truehd", "mlp", "flac", "alac", "wavpack", "tta", "ape"];
+export function is_lossless(stream) {
+    const codec = stream.codec_name || "";
+    return LOSSLESS.includes(codec) || codec.startsWith("pcm_") ||
+        (codec === "dts" && /^DTS-HD MA/.test(stream.profile || ""));
+}
+
+// an audio rule from "key=value,..." or a config object into something to match with
+export function parse_rule(rule) {
+    const name = typeof rule === "string" ? rule : JSON.stringify(rule);
+    const fail = msg => new InputError(`Invalid audio rule ${name}, ${msg}`);
+    const out = { action: "copy", bitrate: null, downmix: null, fallback: null };
+    for (const [k, v] of rule_entries(rule, fail)) {
+        if (!RULE_KEYS.includes(k)) {
+            throw fail(`unknown key "${k}", expected one of ${RULE_KEYS.join(", ")}`);
+        }
+        if (k === "action" || k === "fallback") {
+            const choices = k === "action" ? AUDIO_ACTIONS : AUDIO_ACTIONS.slice(1);
+            if (!choices.includes(v)) {
+                throw fail(`${k} "${v}" isn't one of ${choices.join(", ")}`);
+            }
+            out[k] = v;
+        } else if (k === "bitrate") {
+            out.bitrate = Number(v);
+            if (!(out.bitrate > 0)) {
+                throw fail(`bitrate "${v}" isn't a number of kbps`);
+            }
+        } else if (k === "downmix") {
+            out.downmix = Number(v);
+            if (!Number.isInteger(out.downmix) || out.downmix < 1 || out.downmix > 8) {
+                throw fail("downmix has to be 1 to 8 channels");
+            }
+        } else {
+            out[k] = selector_value(k, v, fail);
+        }
+    }
+    if (out.action === "copy" && !out.fallback && (out.bitrate || out.downmix)) {
+        throw fail("copied tracks can't have a bitrate or downmix without a fallback");
+    }
+    return out;
+}
+
+// does a rule apply to an audio stream, "lossless" matches any lossless codec
+export function match_rule(rule, stream) {
+    return match_selector(rule, stream, is_lossless);
+}
+
+// what happens to every audio stream, first matching rule wins and unmatched ones are copied
+// bitrates are for stereo and scale with the channel count of the output
+// returns the copied stream indexes and the tracks to encode
+export function audio_plan(streams, rules, opus_bitrate) {
+    const copy = [], encode = [];
+    const track = (s, codec, rule, fallback) => {
+        const source = s.channels || 2;
+        const channels = Math.min(rule.downmix || source, source, 8);
+        const stereo = rule.bitrate || (codec === "opus" ? Number(opus_bitrate) : STEREO_BITRATES[codec]);
+        encode.push({
+            index: s.index,
+            codec,
+            source_channels: source,
+            channels,
+            bitrate: codec === "flac" ? null : Math.round(stereo * channels / 2),
+            fallback
+        });
+    };
+    for (const s of streams) {
+        const rule = rules.find(r => match_rule(r, s));
+        if (!rule || rule.action === "copy") {
+            copy.push(s.index);
+            if (rule && rule.fallback && is_lossless(s)) {
+                track(s, rule.fallback, rule, true);
+            }
+        } else {
+            track(s, rule.action, rule, false);
+        }
+    }
+    return { copy, encode };
+}
+
+// ffmpeg codec arguments for a planned track
+export function codec_args(track) {
+    const args = ["-c:a", ENCODERS[track.codec]];
+    if (track.bitrate) {
+        args.push("-b:a", `${track.bitrate}k`);
+    }
+    const surround = track.codec === "opus" && track.channels > 2;
+    if (track.channels !== track.source_channels || surround) {
+        args.push("-af", `aformat=channel_layouts=${LAYOUTS[track.channels]}`);
+    }
+    if (surround) {
+        args.push("-mapping_family", "1");
+    }
+    return args;
+}
+
+// audio transcoding, resolves with the failure if any
+export function audio_transcode(ff_args, stream_len, v, on_progress) {
+    return new Promise(res => {
+        const ff_proc = spawn_tool(FFMPEG, ff_args, ["ignore", "ignore", "pipe"], v);
+
+        if (ff_proc.stderr) {
+            ff_proc.stderr.on("data", d => {
+                for (const line of d.toString().replace(/\r/g, "").split("\n")) {
+                    if (line.trim().length === 0) {
+                        return;
+                    }
+                    const result = FFMPEG_REGEX.exec(line.replace(/ /g, ""));
+                    if (!result) {
+                        return;
+                    }
+                    on_progress({ time: result.groups.time, duration: stream_len, speed: Number(result.groups.speed) });
+                }
+            });
+        }
+
+        supervise([ff_proc]).then(res);
+    });
+}
@@ -0,0 +1,109 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { FFMPEG } from "./tools.js";
+import { spawn_tool, supervise, tool_error } from "./proc.js";
+
+// measured values further off than this from the source's own ones get a warning
+const CLL_TOLERANCE = 0.25;
+
+// nits for every 16 bit full range pq code value
+const PQ_NITS = (() => {
+    const m1 = 2610 / 16384, m2 = 2523 / 4096 * 128;
+    const c1 = 3424 / 4096, c2 = 2413 / 4096 * 32, c3 = 2392 / 4096 * 32;
+    const lut = new Float64Array(65536);
+    for (let i = 0; i < lut.length; i++) {
+        const e = Math.pow(i / 65535, 1 / m2);
+        lut[i] = 10000 * Math.pow(Math.max(e - c1, 0) / (c2 - c3 * e), 1 / m1);
+    }
+    return lut;
+})();
+
+// ffmpeg args decoding the same picture as the transcode into full range 16 bit rgb
+export function measure_args(ff_args) {
+    const args = ff_args.slice(0, -5);
+    const vf = args.indexOf("-vf");
+    const filter = "scale=in_color_matrix=bt2020:out_range=full,format=gbrp16le";
+    if (vf !== -1) {
+        args[vf + 1] += `,${filter}`;
+    } else {
+        args.push("-vf", filter);
+    }
+    args.push("-an", "-f", "rawvideo", "-");
+    return args;
+}
+
+// go through every pixel of the picture, MaxCLL is the brightest pixel's brightest
+// component and MaxFALL the highest frame average of those, both in nits
+// resolves with { max_cll, max_fall, frames }
+export async function measure_cll(ff_args, width, height, frames, v, on_progress) {
+    const n = width * height;
+    const frame = new Uint16Array(n * 3);
+    const bytes = Buffer.from(frame.buffer);
+    const g = frame.subarray(0, n), b = frame.subarray(n, 2 * n), r = frame.subarray(2 * n);
+    let filled = 0, done = 0, max_cll = 0, max_fall = 0;
+
+    // gbrp planes, green first
+    const analyse = () => {
+        let max = 0, sum = 0;
+        for (let i = 0; i < n; i++) {
+            let c = g[i];
+            if (b[i] > c) {
+                c = b[i];
+            }
+            if (r[i] > c) {
+                c = r[i];
+            }
+            const nits = PQ_NITS[c];
+            sum += nits;
+            if (nits > max) {
+                max = nits;
+            }
+        }
+        max_cll = Math.max(max_cll, max);
+        max_fall = Math.max(max_fall, sum / n);
+        done++;
+        on_progress({ frame: done, frames });
+    };
+
+    const proc = spawn_tool(FFMPEG, measure_args(ff_args), ["ignore", "pipe", "pipe"], v);
+    proc.stdout.on("data", d => {
+        let pos = 0;
+        while (pos < d.length) {
+            const take = Math.min(d.length - pos, bytes.length - filled);
+            d.copy(bytes, filled, pos, pos + take);
+            filled += take;
+            pos += take;
+            if (filled === bytes.length) {
+                analyse();
+                filled = 0;
+            }
+        }
+    });
+    const failed = await supervise([proc]);
+    if (failed) {
+        throw tool_error("Measuring MaxCLL failed", failed);
+    }
+    return { max_cll: Math.round(max_cll), max_fall: Math.round(max_fall), frames: done };
+}
+
+// compare measured light levels to the source's "--max-cll" value, null when they're close enough
+export function compare_cll(measured, source) {
+    const [cll, fall] = source.split(",").map(Number);
+    const off = (a, b) => Math.abs(a - b) > CLL_TOLERANCE * Math.max(b, 1);
+    if (!off(cll, measured.max_cll) && !off(fall, measured.max_fall)) {
+        return null;
+    }
+    return `Source says MaxCLL ${cll} and MaxFALL ${fall}, measured ${measured.max_cll} and ${measured.max_fall}`;
+}
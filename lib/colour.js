@@ -0,0 +1,160 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { InputError } from "./errors.js";
+
+// bit depths x265 takes, anything else goes up to the next one
+const DEPTHS = [8, 10, 12];
+
+// chroma layouts x265 can't take, to the smallest one that loses nothing
+const CHROMA = {
+    "410": "420",
+    "411": "422",
+    "440": "444"
+};
+
+// semi planar and packed yuv, to the planar chroma and depth they hold
+const PACKED = {
+    nv12: ["420", 8], nv21: ["420", 8], nv16: ["422", 8], nv24: ["444", 8], nv42: ["444", 8],
+    p010: ["420", 10], p012: ["420", 12], p016: ["420", 16],
+    p210: ["422", 10], p212: ["422", 12], p216: ["422", 16],
+    p410: ["444", 10], p412: ["444", 12], p416: ["444", 16],
+    yuyv422: ["422", 8], uyvy422: ["422", 8], yvyu422: ["422", 8],
+    y210: ["422", 10], y212: ["422", 12], nv20: ["422", 10],
+    vuya: ["444", 8], vuyx: ["444", 8], xv30: ["444", 10], xv36: ["444", 12], ayuv64: ["444", 16]
+};
+
+// packed rgb with more than 8 bits
+const RGB_DEPTHS = {
+    rgb48: 16, bgr48: 16, rgba64: 16, bgra64: 16,
+    x2rgb10: 10, x2bgr10: 10
+};
+
+// ffprobe colour names to x265 ones, older ffmpeg spellings included
+const X265_PRIMARIES = {
+    "bt709": "bt709", "bt470m": "bt470m", "bt470bg": "bt470bg", "smpte170m": "smpte170m",
+    "smpte240m": "smpte240m", "film": "film", "bt2020": "bt2020",
+    "smpte428": "smpte428", "smpte428_1": "smpte428", "smpte431": "smpte431", "smpte432": "smpte432"
+};
+const X265_TRANSFERS = {
+    "bt709": "bt709", "bt470m": "bt470m", "gamma22": "bt470m", "bt470bg": "bt470bg", "gamma28": "bt470bg",
+    "smpte170m": "smpte170m", "smpte240m": "smpte240m", "linear": "linear",
+    "log100": "log100", "log": "log100", "log316": "log316", "log_sqrt": "log316",
+    "iec61966-2-4": "iec61966-2-4", "iec61966_2_4": "iec61966-2-4", "bt1361e": "bt1361e", "bt1361": "bt1361e",
+    "iec61966-2-1": "iec61966-2-1", "iec61966_2_1": "iec61966-2-1",
+    "bt2020-10": "bt2020-10", "bt2020_10bit": "bt2020-10", "bt2020-12": "bt2020-12", "bt2020_12bit": "bt2020-12",
+    "smpte2084": "smpte2084", "smpte428": "smpte428", "smpte428_1": "smpte428", "arib-std-b67": "arib-std-b67"
+};
+const X265_MATRICES = {
+    "gbr": "gbr", "bt709": "bt709", "fcc": "fcc", "bt470bg": "bt470bg", "smpte170m": "smpte170m",
+    "smpte240m": "smpte240m", "ycgco": "ycgco", "ycocg": "ycgco",
+    "bt2020nc": "bt2020nc", "bt2020_ncl": "bt2020nc", "bt2020c": "bt2020c", "bt2020_cl": "bt2020c",
+    "smpte2085": "smpte2085", "chroma-derived-nc": "chroma-derived-nc", "chroma-derived-c": "chroma-derived-c", "ictcp": "ictcp"
+};
+const COLOUR_TAGS = [
+    ["color_primaries", X265_PRIMARIES, "primaries"],
+    ["color_transfer", X265_TRANSFERS, "transfer"],
+    ["color_space", X265_MATRICES, "matrix"]
+];
+
+// yuv matrices to swscale's names, for converting rgb
+export const SWS_MATRICES = {
+    "bt709": "bt709",
+    "bt470bg": "bt601",
+    "smpte170m": "bt601",
+    "bt2020nc": "bt2020"
+};
+
+// names that mean nothing, they're left out quietly
+const UNSET = ["unknown", "reserved", "unspecified"];
+
+// work out what x265 gets for a pix_fmt
+// { csp, depth, pix_fmt, convert, rgb, full }, pix_fmt is what ffmpeg hands over in the y4m
+// and convert is set when that isn't the source format, full for yuvj
+export function parse_pix_fmt(input) {
+    const name = String(input).replace(/(le|be)$/, "");
+    let csp, depth, rgb = false, full = false, m;
+    if ((m = /^gray(\d*)$/.exec(name)) || (m = /^ya(\d+)$/.exec(name))) {
+        csp = "400";
+        depth = Number(m[1]) || 8;
+    } else if (/^mono(w|b)$/.test(name)) {
+        csp = "400";
+        depth = 8;
+    } else if ((m = /^yuv(j?)a?(4\d\d)p(\d*)$/.exec(name))) {
+        full = m[1] === "j";
+        csp = CHROMA[m[2]] || m[2];
+        depth = Number(m[3]) || 8;
+    } else if (PACKED[name]) {
+        [csp, depth] = PACKED[name];
+    } else if ((m = /^gbra?p(f?)(\d*)$/.exec(name))) {
+        rgb = true;
+        csp = "444";
+        depth = m[1] ? 16 : Number(m[2]) || 8;
+    } else if (/rgb|bgr/.test(name) || name === "pal8") {
+        rgb = true;
+        csp = "444";
+        depth = RGB_DEPTHS[name] || 8;
+    } else {
+        throw new InputError(`Unsupported pixel format ${input}`);
+    }
+    if (!["400", "420", "422", "444"].includes(csp)) {
+        throw new InputError(`Unsupported pixel format ${input}`);
+    }
+    const d = DEPTHS.find(x => x >= depth) || 12;
+    const suffix = d === 8 ? "" : `${d}le`;
+    const pix_fmt = csp === "400" ? `gray${suffix}` : `yuv${full && d === 8 ? "j" : ""}${csp}p${suffix}`;
+    return {
+        csp: `i${csp}`,
+        depth: String(d),
+        pix_fmt,
+        convert: pix_fmt !== input,
+        rgb,
+        full: full && d === 8
+    };
+}
+
+// colours for sources without tags, hdr metadata means pq bt.2020 and otherwise it goes by the size
+function guess_colours(stream, hdr) {
+    if (hdr.args.includes("--master-display") || hdr.dv || hdr.plus) {
+        return { label: "PQ BT.2020", color_primaries: "bt2020", color_transfer: "smpte2084", color_space: "bt2020nc" };
+    }
+    if (stream.height > 576 || stream.width > 1024) {
+        return { label: "BT.709", color_primaries: "bt709", color_transfer: "bt709", color_space: "bt709" };
+    }
+    if (stream.height > 480) {
+        return { label: "BT.601 PAL", color_primaries: "bt470bg", color_transfer: "smpte170m", color_space: "bt470bg" };
+    }
+    return { label: "BT.601 NTSC", color_primaries: "smpte170m", color_transfer: "smpte170m", color_space: "smpte170m" };
+}
+
+// the streams colour tags in x265's names, missing and unknown ones are guessed
+// returns { tags, guessed, unknown, guess }, guessed and unknown list what was filled in from guess
+export function resolve_colours(stream, hdr) {
+    const tags = {}, guessed = [], unknown = [];
+    const guess = guess_colours(stream, hdr);
+    for (const [key, table, name] of COLOUR_TAGS) {
+        const value = stream[key];
+        if (value && table[value]) {
+            tags[key] = table[value];
+            continue;
+        }
+        if (value && !UNSET.includes(value)) {
+            unknown.push(`${name} "${value}"`);
+        } else {
+            guessed.push(name);
+        }
+        tags[key] = guess[key];
+    }
+    return { tags, guessed, unknown, guess };
+}
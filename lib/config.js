@@ -0,0 +1,193 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { readFile, stat } from "node:fs/promises";
+import { homedir } from "node:os";
+import { join, resolve } from "node:path";
+import { ConfigError } from "./errors.js";
+
+// config file names looked for in the project directory
+const PROJECT_CONFIGS = ["hdr-sucks.json", ".hdr-sucks.json"];
+
+// keys of a profile that aren't plain options
+const AUDIO_KEYS = {
+    opus: ["opus", "boolean"],
+    bitrate: ["opusBitrate", "string"],
+    tracks: ["audio", "rules"]
+};
+
+// where the config file is, explicit path first, then project dir, then xdg
+export async function find_config(explicit = null) {
+    if (explicit) {
+        const file = resolve(explicit);
+        if (!await stat(file).catch(() => null)) {
+            throw new ConfigError(`Config file not found: ${file}`);
+        }
+        return file;
+    }
+    const xdg = process.env.XDG_CONFIG_HOME || join(homedir(), ".config");
+    const candidates = [
+        ...PROJECT_CONFIGS.map(f => join(process.cwd(), f)),
+        join(xdg, "hdr-sucks", "config.json")
+    ];
+    for (const file of candidates) {
+        if (await stat(file).catch(() => null)) {
+            return file;
+        }
+    }
+    return null;
+}
+
+// read and sanity check a config file
+export async function load_config(file) {
+    let config;
+    try {
+        config = JSON.parse(await readFile(file, "utf8"));
+    } catch (e) {
+        throw new ConfigError(`Could not read config ${file}: ${e.message}`);
+    }
+    if (!is_object(config)) {
+        throw new ConfigError(`Config ${file} must be a JSON object`);
+    }
+    for (const k of Object.keys(config)) {
+        if (!["profile", "profiles"].includes(k)) {
+            throw new ConfigError(`Unknown key "${k}" in config ${file}`);
+        }
+    }
+    if (config.profile !== undefined && typeof config.profile !== "string") {
+        throw new ConfigError(`"profile" in config ${file} must be a profile name`);
+    }
+    if (config.profiles !== undefined && !is_object(config.profiles)) {
+        throw new ConfigError(`"profiles" in config ${file} must be an object`);
+    }
+    config.profiles = config.profiles || {};
+    config.file = file;
+    return config;
+}
+
+// resolve a profile and everything it inherits into flat options
+// schema maps option names to "boolean", "string" or "list", anything else is rejected
+export function resolve_profile(config, name, schema, chain = []) {
+    if (chain.includes(name)) {
+        throw new ConfigError(`Profile inheritance loop: ${[...chain, name].join(" -> ")}`);
+    }
+    const profile = config.profiles[name];
+    if (!is_object(profile)) {
+        const known = Object.keys(config.profiles);
+        throw new ConfigError(`Unknown profile "${name}"` + (known.length > 0 ? `, available: ${known.join(", ")}` : ""));
+    }
+
+    // parents first, later ones win
+    let out = {};
+    const parents = profile.inherits === undefined ? [] : [].concat(profile.inherits);
+    for (const parent of parents) {
+        if (typeof parent !== "string") {
+            throw new ConfigError(`"inherits" in profile "${name}" must be a profile name or a list of them`);
+        }
+        out = merge_options(out, resolve_profile(config, parent, schema, [...chain, name]));
+    }
+
+    const own = {};
+    for (const [key, value] of Object.entries(profile)) {
+        const where = `profile "${name}"`;
+        if (key === "inherits") {
+            continue;
+        } else if (key === "x265") {
+            own.x265 = check_x265(value, where);
+        } else if (key === "audio") {
+            if (!is_object(value)) {
+                throw new ConfigError(`"audio" in ${where} must be an object`);
+            }
+            for (const [k, v] of Object.entries(value)) {
+                if (!AUDIO_KEYS[k]) {
+                    throw new ConfigError(`Unknown audio setting "${k}" in ${where}, expected one of: ${Object.keys(AUDIO_KEYS).join(", ")}`);
+                }
+                const [option, type] = AUDIO_KEYS[k];
+                own[option] = check_value(v, type, `audio.${k}`, where);
+            }
+        } else {
+            const option = camel_case(key);
+            if (!schema[option]) {
+                throw new ConfigError(`Unknown option "${key}" in ${where}`);
+            }
+            own[option] = check_value(value, schema[option], key, where);
+        }
+    }
+    return merge_options(out, own);
+}
+
+// structured x265 params, { "no-sao": true, "tune": "grain" }
+function check_x265(value, where) {
+    if (!is_object(value)) {
+        throw new ConfigError(`"x265" in ${where} must be an object of x265 parameters`);
+    }
+    for (const [k, v] of Object.entries(value)) {
+        if (!/^[a-z0-9][a-z0-9-]*$/.test(k)) {
+            throw new ConfigError(`Invalid x265 parameter name "${k}" in ${where}`);
+        }
+        if (!["string", "number", "boolean"].includes(typeof v)) {
+            throw new ConfigError(`x265 parameter "${k}" in ${where} must be a string, number or boolean`);
+        }
+    }
+    return { ...value };
+}
+
+// type check a single option value, numbers become strings like on the command line
+// rules and lists of repeatable options are objects or "key=value,..." strings, checked when planning
+function check_value(value, type, key, where) {
+    if (type === "list" && (typeof value === "string" || is_object(value))) {
+        value = [value];
+    }
+    if (type === "rules" || type === "list") {
+        if (!Array.isArray(value) || !value.every(r => typeof r === "string" || is_object(r))) {
+            throw new ConfigError(`"${key}" in ${where} must be a list of ${type === "rules" ? "audio rules" : "values"}`);
+        }
+        return [...value];
+    }
+    if (type === "boolean") {
+        if (typeof value !== "boolean") {
+            throw new ConfigError(`"${key}" in ${where} must be true or false`);
+        }
+        return value;
+    }
+    if (typeof value === "number" && isFinite(value)) {
+        return String(value);
+    }
+    if (typeof value !== "string") {
+        throw new ConfigError(`"${key}" in ${where} must be a string or number`);
+    }
+    return value;
+}
+
+// later options win, x265 params are merged key by key
+// audio rules of the later one go first, the first matching rule is used
+function merge_options(a, b) {
+    const out = { ...a, ...b };
+    if (a.x265 || b.x265) {
+        out.x265 = { ...a.x265, ...b.x265 };
+    }
+    if (a.audio || b.audio) {
+        out.audio = [...(b.audio || []), ...(a.audio || [])];
+    }
+    return out;
+}
+
+// keep-bit -> keepBit, like commander does it
+function camel_case(key) {
+    return key.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+function is_object(v) {
+    return typeof v === "object" && v !== null && !Array.isArray(v);
+}
@@ -0,0 +1,108 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { FFMPEG } from "./tools.js";
+import { spawn_tool, supervise, tool_error } from "./proc.js";
+
+// points sampled for automatic cropping and frames looked at on each
+const CROP_SAMPLES = 10;
+const CROP_FRAMES = 6;
+
+// "W:H:X:Y" into a crop, null if it isn't one
+export function parse_crop(str) {
+    const m = /^(\d+):(\d+):(\d+):(\d+)$/.exec(String(str).trim());
+    if (!m) {
+        return null;
+    }
+    return { w: Number(m[1]), h: Number(m[2]), x: Number(m[3]), y: Number(m[4]) };
+}
+
+// ffmpeg crop filter for a crop
+export function crop_filter(crop) {
+    return `crop=${crop.w}:${crop.h}:${crop.x}:${crop.y}`;
+}
+
+// run cropdetect on a few frames at one point, resolves with what it settled on
+function sample_crop(input, index, time, v) {
+    return new Promise((res, rej) => {
+        let bufsErr = [];
+        const args = [
+            "-ss", time.toFixed(3),
+            "-i", input,
+            "-map", `0:${index}`,
+            "-frames:v", String(CROP_FRAMES),
+            "-vf", "cropdetect=limit=0.09:round=2:reset=1",
+            "-an", "-f", "null", "-"
+        ];
+        const proc = spawn_tool(FFMPEG, args, ["ignore", "ignore", "pipe"], v);
+        proc.stderr.on("data", d => bufsErr.push(d));
+        supervise([proc]).then(failed => {
+            if (failed) {
+                return rej(tool_error("Crop detection failed", failed));
+            }
+            const found = [...Buffer.concat(bufsErr).toString().matchAll(/crop=(\d+:\d+:\d+:\d+)/g)];
+            res(found.length > 0 ? parse_crop(found[found.length - 1][1]) : null);
+        });
+    });
+}
+
+// sample the picture at several points and pick a stable crop
+// samples smaller than the most common one are taken as dark scenes and ignored,
+// bigger ones mean the aspect ratio changes so the crop grows to keep all of it
+// resolves with { crop, changes }, crop is null when there's nothing to cut
+export async function detect_crop(input, index, start, length, width, height, v) {
+    const samples = [];
+    for (let i = 0; i < CROP_SAMPLES; i++) {
+        // stay off the very start and end, logos and credits aren't the movie
+        const crop = await sample_crop(input, index, start + length * (0.05 + 0.9 * i / (CROP_SAMPLES - 1)), v);
+        if (crop && crop.w > 0 && crop.h > 0) {
+            samples.push(crop);
+        }
+    }
+    if (samples.length < 1) {
+        return { crop: null, changes: false };
+    }
+
+    // most common crop first, the bigger one wins a tie
+    const counts = new Map();
+    for (const s of samples) {
+        const key = crop_filter(s);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    const area = c => c.w * c.h;
+    const common = samples.reduce((a, b) => {
+        const ca = counts.get(crop_filter(a)), cb = counts.get(crop_filter(b));
+        return cb > ca || (cb === ca && area(b) > area(a)) ? b : a;
+    });
+
+    // grow to cover anything sticking out of it, on even pixels for chroma subsampling
+    let x1 = common.x, y1 = common.y, x2 = common.x + common.w, y2 = common.y + common.h;
+    for (const s of samples) {
+        if (area(s) > area(common)) {
+            x1 = Math.min(x1, s.x);
+            y1 = Math.min(y1, s.y);
+            x2 = Math.max(x2, s.x + s.w);
+            y2 = Math.max(y2, s.y + s.h);
+        }
+    }
+    const changes = x1 !== common.x || y1 !== common.y || x2 !== common.x + common.w || y2 !== common.y + common.h;
+    x1 -= x1 % 2;
+    y1 -= y1 % 2;
+    x2 = Math.min(x2 + x2 % 2, width);
+    y2 = Math.min(y2 + y2 % 2, height);
+    if (x1 === 0 && y1 === 0 && x2 === width && y2 === height) {
+        return { crop: null, changes };
+    }
+    return { crop: { w: x2 - x1, h: y2 - y1, x: x1, y: y1 }, changes };
+}
@@ -0,0 +1,76 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+// base for everything hdr-sucks throws on purpose
+export class HdrsError extends Error {
+    constructor(message, code = "EHDRS") {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+// bad input file or options
+export class InputError extends HdrsError {
+    constructor(message) {
+        super(message, "EINPUT");
+    }
+}
+
+// ffprobe couldn't read the file
+export class ProbeError extends HdrsError {
+    constructor(message, stderr = "") {
+        super(message, "EPROBE");
+        this.stderr = stderr;
+    }
+}
+
+// an external tool exited with an error
+export class ToolError extends HdrsError {
+    constructor(message, { tool = null, exitCode = null, stderr = "" } = {}) {
+        super(message, "ETOOL");
+        this.tool = tool;
+        this.exitCode = exitCode;
+        this.stderr = stderr;
+    }
+}
+
+// manifest can't be used to resume
+export class ResumeError extends HdrsError {
+    constructor(message) {
+        super(message, "ERESUME");
+    }
+}
+
+// the job was cancelled, by a signal or cancel()
+export class CancelledError extends HdrsError {
+    constructor(message = "Cancelled") {
+        super(message, "ECANCELLED");
+    }
+}
+
+// config file or profile is broken
+export class ConfigError extends HdrsError {
+    constructor(message) {
+        super(message, "ECONFIG");
+    }
+}
+
+// a tool the job needs is missing or can't do what's needed
+export class PreflightError extends HdrsError {
+    constructor(problems) {
+        super(`Preflight check failed:\n${problems.map(p => `  - ${p}`).join("\n")}`, "EPREFLIGHT");
+        this.problems = problems;
+    }
+}
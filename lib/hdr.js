@@ -0,0 +1,437 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { readFile, rename, rm } from "node:fs/promises";
+import { DOVI_TOOL, FFMPEG, FFPROBE, HDR10PLUS_TOOL } from "./tools.js";
+import { generate_temp_name, parse_slash_number, write_json } from "./util.js";
+import { find } from "./probe.js";
+import { spawn_tool, supervise, tool_error } from "./proc.js";
+import { extract_plus, plus_args } from "./plus.js";
+import { InputError } from "./errors.js";
+
+// parse mastering display data for x265
+export function parse_master_display(p) {
+    const o = [];
+    const list = [p.green_x, p.green_y, p.blue_x, p.blue_y, p.red_x, p.red_y, p.white_point_x, p.white_point_y, p.max_luminance, p.min_luminance];
+    for (const i in list) {
+        if (!list[i]) {
+            throw new Error("this wrong");
+        }
+        const num = parse_slash_number(list[i]);
+        if (isNaN(num)) {
+            throw new Error("this wrong");
+        }
+        o.push(Math.round(num * ((i > 7) ? 10000 : 50000)));
+    }
+    return `G(${o[0]},${o[1]})B(${o[2]},${o[3]})R(${o[4]},${o[5]})WP(${o[6]},${o[7]})L(${o[8]},${o[9]})`;
+}
+
+// detect hdr formats from stream and frame side data
+// returns x265 args for static metadata and which dynamic metadata needs extracting
+export function detect_hdr(stream, frame) {
+    let _temp;
+    let out = {
+        args: [],
+        formats: [],
+        dv: false,
+        dv_profile: null,
+        dv_compat: null,
+        plus: false
+    };
+    let done = [false, false];
+    for (const e of [stream, frame]) {
+        if (!e.side_data_list || e.side_data_list.length < 1) {
+            continue;
+        }
+
+        // HDR10 / HLG
+        _temp = find(e.side_data_list, "Mastering display metadata");
+        if (!done[0] && _temp) {
+            done[0] = true;
+            out.formats.push("HDR10 / HLG");
+            out.args.push("--master-display", parse_master_display(_temp));
+        }
+        _temp = find(e.side_data_list, "Content light level metadata");
+        if (!done[1] && _temp) {
+            done[1] = true;
+            out.args.push("--max-cll", `${_temp.max_content},${_temp.max_average}`);
+        }
+
+        // DOLBY VISION
+        _temp = find(e.side_data_list, "DOVI configuration record");
+        if (!out.dv && _temp) {
+            out.dv = true;
+            out.dv_profile = _temp.dv_profile ?? null;
+            out.dv_compat = _temp.dv_bl_signal_compatibility_id ?? null;
+            out.formats.push(out.dv_profile !== null ? `Dolby Vision profile ${out.dv_profile}` : "Dolby Vision");
+        }
+
+        // HDR10+
+        _temp = find(e.side_data_list, "HDR Dynamic Metadata SMPTE2094-40 (HDR10+)");
+        if (!out.plus && _temp) {
+            out.plus = true;
+            out.formats.push("HDR10+");
+        }
+    }
+    return out;
+}
+
+// dolby vision modes, convert makes a single layer profile 8.1 out of what it can
+export const DV_MODES = ["convert", "drop", "keep"];
+
+// what to do when dynamic metadata doesn't have one entry per encoded frame
+export const MISMATCH_MODES = ["error", "pad"];
+
+// profile 5 is IPTPQc2 and only looks right with the rpu applied
+// libplacebo reshapes it to plain pq bt.2020, which these are the colours of
+export const P5_RESHAPE = "libplacebo=apply_dolbyvision=1:colorspace=bt2020nc:color_primaries=bt2020:color_trc=smpte2084:range=tv:format=yuv420p10le";
+export const P5_COLOURS = {
+    color_primaries: "bt2020",
+    color_transfer: "smpte2084",
+    color_space: "bt2020nc",
+    color_range: "tv"
+};
+
+// commands extracting dynamic metadata, each one is fed the raw hevc stream by ffmpeg
+// convert is a dovi_tool mode the rpu is converted with while extracting, if any
+// other codecs only have hdr10+ read from ffmpeg's side data, direct ones read the input themselves
+// stream is the index of the video stream, null for the first one
+export function extract_commands(paths, convert = null, codec = "hevc", stream = null) {
+    const out = [];
+    if (paths.dv) {
+        const mode = convert !== null ? ["-m", String(convert)] : [];
+        out.push({ name: "Dolby Vision", tool: DOVI_TOOL, args: [...mode, "extract-rpu", "-o", paths.dv, "-"] });
+    }
+    if (paths.plus && codec === "hevc") {
+        out.push({ name: "HDR10+", tool: HDR10PLUS_TOOL, args: ["extract", "-o", paths.plus, "-"] });
+    } else if (paths.plus) {
+        out.push({ name: "HDR10+", tool: FFPROBE, args: plus_args(paths.input, stream), direct: true });
+    }
+    return out;
+}
+
+// extract dynamic hdr metadata into the temp paths set by the plan
+// it's then made to match the picture, edits are { convert, codec, stream, trim, crop, resize } from the plan
+// resolves with warnings about the metadata
+export async function pre_hdr(paths, v, edits = {}) {
+    const { convert = null, codec = "hevc", stream = null, trim, crop, resize } = edits;
+    const warnings = [];
+    for (const c of extract_commands(paths, convert, codec, stream)) {
+        if (c.direct) {
+            const filled = await extract_plus(paths.input, stream, paths.plus, v);
+            if (filled > 0) {
+                warnings.push(`${filled} frames have no HDR10+ metadata, they got their neighbour's`);
+            }
+            continue;
+        }
+        const failed = await ff_xtract(paths.input, stream, c.tool, c.args, v);
+        if (failed) {
+            throw tool_error(`Extracting ${c.name} failed`, failed);
+        }
+    }
+
+    // mkvmerge advertises whatever profile the injected rpu has, so it better be the right one
+    if (convert !== null && paths.dv) {
+        const { profile } = await rpu_info(paths.dv, v);
+        if (profile !== 8) {
+            throw new InputError(`Converted Dolby Vision metadata is profile ${profile}, expected 8`);
+        }
+    }
+    if (trim && paths.dv) {
+        await trim_rpu(paths.dv, trim, v);
+    }
+    if (trim && paths.plus) {
+        await trim_plus(paths.plus, trim);
+    }
+
+    // the L5 active area follows the picture, hdr10+ only has a full frame window
+    if ((crop || resize) && paths.dv) {
+        await adjust_area(paths.dv, crop, resize, v);
+    }
+    return warnings;
+}
+
+// frame count and profile of an rpu file
+async function rpu_info(file, v) {
+    let out = "";
+    const proc = spawn_tool(DOVI_TOOL, ["info", "-i", file, "--summary"], ["ignore", "pipe", "pipe"], v);
+    proc.stdout.on("data", d => out += d.toString());
+    const failed = await supervise([proc]);
+    if (failed) {
+        throw tool_error("Reading Dolby Vision metadata failed", failed);
+    }
+    const frames = /Frames:\s*(\d+)/.exec(out);
+    const profile = /Profile:\s*(\d+)/.exec(out);
+    if (!frames) {
+        throw new InputError("Could not find the frame count of the Dolby Vision metadata");
+    }
+    return { frames: Number(frames[1]), profile: profile ? Number(profile[1]) : null };
+}
+
+// run dovi_tool's editor over an rpu file in place
+async function edit_rpu(file, edits, what, v) {
+    const json = generate_temp_name(".json");
+    const output = generate_temp_name(".bin");
+    await write_json(json, edits);
+    const proc = spawn_tool(DOVI_TOOL, ["editor", "-i", file, "-j", json, "-o", output], ["ignore", v ? "inherit" : "ignore", "pipe"], v);
+    const failed = await supervise([proc]);
+    await rm(json, { force: true });
+    if (failed) {
+        throw tool_error(`${what} failed`, failed);
+    }
+    await rename(output, file);
+}
+
+// cut an rpu file down to the trimmed frames
+// the end goes first so the start's frame numbers don't shift
+async function trim_rpu(file, trim, v) {
+    const count = (await rpu_info(file, v)).frames;
+    if (trim.start >= count) {
+        throw new InputError(`Start frame ${trim.start} is past the ${count} frames of Dolby Vision metadata`);
+    }
+    if (trim.end !== null && trim.end < count) {
+        await edit_rpu(file, { remove: [`${trim.end}-${count - 1}`] }, "Trimming Dolby Vision metadata", v);
+    }
+    if (trim.start > 0) {
+        await edit_rpu(file, { remove: [`0-${trim.start - 1}`] }, "Trimming Dolby Vision metadata", v);
+    }
+}
+
+// move the L5 active area offsets along with the picture
+// cropped bars come off the offsets, bars the crop left in stay, and the rest is scaled with a resize
+async function adjust_area(file, crop, resize, v) {
+    const json = generate_temp_name(".json");
+    const proc = spawn_tool(DOVI_TOOL, ["export", "-i", file, "-d", `level5=${json}`], ["ignore", v ? "inherit" : "ignore", "pipe"], v);
+    const failed = await supervise([proc]);
+    if (failed) {
+        throw tool_error("Reading the Dolby Vision active area failed", failed);
+    }
+    const data = JSON.parse(await readFile(json, "utf8"));
+    await rm(json, { force: true });
+    const area = data.active_area ?? data;
+    if (!area.presets || area.presets.length < 1) {
+        return;
+    }
+    // manifests from before the full frame size was kept only know the left and top
+    const cut = crop
+        ? { left: crop.x, right: (crop.from_w ?? crop.x + crop.w) - crop.x - crop.w, top: crop.y, bottom: (crop.from_h ?? crop.y + crop.h) - crop.y - crop.h }
+        : { left: 0, right: 0, top: 0, bottom: 0 };
+    const fx = resize ? resize.w / resize.from_w : 1, fy = resize ? resize.h / resize.from_h : 1;
+    const presets = area.presets.map(p => ({
+        id: p.id,
+        left: Math.round(Math.max(0, p.left - cut.left) * fx),
+        right: Math.round(Math.max(0, p.right - cut.right) * fx),
+        top: Math.round(Math.max(0, p.top - cut.top) * fy),
+        bottom: Math.round(Math.max(0, p.bottom - cut.bottom) * fy)
+    }));
+    await edit_rpu(file, { active_area: { presets, edits: area.edits } }, "Adjusting the Dolby Vision active area", v);
+}
+
+// cut hdr10+ metadata down to the trimmed frames
+async function trim_plus(file, trim) {
+    const data = JSON.parse(await readFile(file, "utf8"));
+    const frames = data.SceneInfo.slice(trim.start, trim.end ?? undefined);
+    if (frames.length < 1) {
+        throw new InputError(`Start frame ${trim.start} is past the ${data.SceneInfo.length} frames of HDR10+ metadata`);
+    }
+    await write_plus(file, data, frames);
+}
+
+// repeat the last frame of hdr10+ metadata until there are enough, as part of its scene
+async function pad_plus(file, count) {
+    const data = JSON.parse(await readFile(file, "utf8"));
+    const last = data.SceneInfo[data.SceneInfo.length - 1];
+    const frames = data.SceneInfo.concat(Array.from({ length: count - data.SceneInfo.length }, () => ({ ...last })));
+    await write_plus(file, data, frames);
+}
+
+// write hdr10+ metadata with new frames
+// frames and scenes are renumbered from zero, a scene cut in half keeps what's left of it
+async function write_plus(file, data, frames) {
+    const first = [], lengths = [];
+    let last = null;
+    for (const [i, f] of frames.entries()) {
+        if (f.SceneId !== last) {
+            last = f.SceneId;
+            first.push(i);
+            lengths.push(0);
+        }
+        lengths[lengths.length - 1]++;
+        f.SceneId = first.length - 1;
+        f.SceneFrameIndex = i - first[first.length - 1];
+        f.SequenceFrameIndex = i;
+    }
+    data.SceneInfo = frames;
+    data.SceneInfoSummary = { SceneFirstFrameIndex: first, SceneFrameNumbers: lengths };
+    await write_json(file, data);
+}
+
+// how many frames of dynamic metadata were extracted
+export async function metadata_counts(paths, v) {
+    const out = {};
+    if (paths.dv) {
+        out["Dolby Vision"] = (await rpu_info(paths.dv, v)).frames;
+    }
+    if (paths.plus) {
+        out["HDR10+"] = JSON.parse(await readFile(paths.plus, "utf8")).SceneInfo.length;
+    }
+    return out;
+}
+
+// make sure the dynamic metadata has one entry per encoded frame before it's injected
+// with pad the last entry is repeated or extra ones are cut, always at the end
+// resolves with a message for everything that was changed
+export async function check_counts(paths, frames, mode, v) {
+    const out = [];
+    const fix = (name, count) => {
+        if (mode !== "pad") {
+            throw new InputError(`${name} metadata has ${count} frames but the video has ${frames}, rerun with --resume --hdr-mismatch pad to pad or cut it at the end`);
+        }
+        out.push(`${name} metadata has ${count} frames but the video has ${frames}, ${count < frames ? "repeating the last one" : "cutting the end"}`);
+    };
+    const counts = await metadata_counts(paths, v);
+    if (paths.dv) {
+        const count = counts["Dolby Vision"];
+        if (count !== frames) {
+            fix("Dolby Vision", count);
+            const edits = count < frames
+                ? { duplicate: [{ source: count - 1, offset: count, length: frames - count }] }
+                : { remove: [`${frames}-${count - 1}`] };
+            await edit_rpu(paths.dv, edits, "Fixing the Dolby Vision frame count", v);
+        }
+    }
+    if (paths.plus) {
+        const count = counts["HDR10+"];
+        if (count !== frames) {
+            fix("HDR10+", count);
+            if (count < frames) {
+                await pad_plus(paths.plus, frames);
+            } else {
+                await trim_plus(paths.plus, { start: 0, end: frames });
+            }
+        }
+    }
+    return out;
+}
+
+// L6 metadata for a generated rpu, read back from the x265 args so it matches the stream
+// dovi_tool wants the max mastering luminance in nits, the min stays in 0.0001 nits
+export function generate_level6(x265_args) {
+    const md = x265_args.indexOf("--master-display");
+    const lum = md !== -1 ? /L\((\d+),(\d+)\)/.exec(x265_args[md + 1]) : null;
+    if (!lum) {
+        return null;
+    }
+    const cll = x265_args.indexOf("--max-cll");
+    const [max_cll, max_fall] = cll !== -1 ? x265_args[cll + 1].split(",").map(Number) : [0, 0];
+    return {
+        max_display_mastering_luminance: Math.round(Number(lum[1]) / 10000),
+        min_display_mastering_luminance: Number(lum[2]),
+        max_content_light_level: max_cll || 0,
+        max_frame_average_light_level: max_fall || 0
+    };
+}
+
+// command generating a profile 8.1 rpu into paths.dv_gen, per frame from hdr10+ if there is any
+export function generate_command(paths, config) {
+    const plus = paths.plus ? ["--hdr10plus-json", paths.plus] : [];
+    return { tool: DOVI_TOOL, args: ["generate", "-j", config, ...plus, "-o", paths.dv_gen] };
+}
+
+// generate a dolby vision rpu for the encoded stream
+// without hdr10+ every frame gets the same metadata, so it needs the frame count
+export async function generate_rpu(paths, level6, frames, v) {
+    const json = generate_temp_name(".json");
+    await write_json(json, {
+        cm_version: "V40",
+        ...(paths.plus ? {} : { length: frames }),
+        ...(level6 ? { level6 } : {})
+    });
+    const c = generate_command(paths, json);
+    const proc = spawn_tool(c.tool, c.args, ["ignore", v ? "inherit" : "ignore", "pipe"], v);
+    const failed = await supervise([proc]);
+    await rm(json, { force: true });
+    if (failed) {
+        throw tool_error("Generating Dolby Vision metadata failed", failed);
+    }
+}
+
+// ffmpeg args for getting the raw hevc stream out, of the first video stream without an index
+export function xtract_args(file, index = null) {
+    return [
+        "-i", file,
+        "-map", index === null ? "0:v:0?" : `0:${index}`,
+        "-c:v", "copy",
+        "-bsf:v", "hevc_mp4toannexb",
+        "-f", "hevc",
+        "-"
+    ];
+}
+
+// helper function for extraction, pipes the raw hevc stream into a metadata tool
+function ff_xtract(file, index, sec, args, v) {
+    const ff_proc = spawn_tool(FFMPEG, xtract_args(file, index), ["ignore", "pipe", "pipe"], v);
+    const sec_proc = spawn_tool(sec, args, ["pipe", v ? "inherit" : "ignore", "pipe"], v);
+    ff_proc.stdout.pipe(sec_proc.stdin);
+    return supervise([ff_proc, sec_proc]);
+}
+
+// injection chain, every step reads what the previous one wrote
+export function inject_commands(paths) {
+    const out = [];
+    let current = paths.temp;
+    if (paths.dv) {
+        const output = generate_temp_name(".hevc");
+        out.push({ key: "dv", source: paths.dv, tool: DOVI_TOOL, args: ["inject-rpu", "--rpu-in", paths.dv, "-i", current, "-o", output], output });
+        current = output;
+    }
+    if (paths.plus) {
+        const output = generate_temp_name(".hevc");
+        out.push({ key: "plus", source: paths.plus, tool: HDR10PLUS_TOOL, args: ["inject", "-j", paths.plus, "-i", current, "-o", output], output });
+        current = output;
+    }
+    return out;
+}
+
+// reinject hdr metadata after transcoding
+export async function post_hdr(paths, v) {
+    const steps = inject_commands(paths);
+    let currentFile = paths.temp;
+    for (const step of steps) {
+        const failed = await ff_inject(step.tool, step.args, v);
+        if (failed) {
+            throw tool_error(`Injecting HDR (${step.key}) failed`, failed);
+        }
+        if (currentFile !== paths.temp) {
+            await rm(currentFile);
+        }
+        currentFile = step.output;
+    }
+
+    // sources only go once everything is injected, so a resume can start over from them
+    if (currentFile !== paths.temp) {
+        await rm(paths.temp);
+    }
+    for (const step of steps) {
+        await rm(step.source);
+    }
+    return currentFile;
+}
+
+// helper function for injecting
+// really just a supervised spawn wrapper
+function ff_inject(p, args, v) {
+    const proc = spawn_tool(p, args, ["ignore", v ? "inherit" : "ignore", "pipe"], v);
+    return supervise([proc]);
+}
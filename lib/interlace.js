@@ -0,0 +1,106 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { FFMPEG } from "./tools.js";
+import { spawn_tool, supervise, tool_error } from "./proc.js";
+
+// deinterlacing, auto looks at the picture with idet, the others force a filter chain
+export const DEINTERLACE_MODES = ["auto", "off", "deinterlace", "ivtc"];
+
+// points idet looks at and frames at each, a 3:2 cadence needs a few dozen to show
+const IDET_SAMPLES = 5;
+const IDET_FRAMES = 120;
+
+// shares of idet's frames that make up a decision
+const INTERLACED_SHARE = 0.05;
+const TELECINE_SHARE = 0.2;
+const COMBED_MAX = 0.6;
+
+// run idet on a few frames at one point, resolves with its multi frame and repeated field counts
+function sample_idet(input, index, time, v) {
+    return new Promise((res, rej) => {
+        let bufsErr = [];
+        const args = [
+            "-ss", time.toFixed(3),
+            "-i", input,
+            "-map", `0:${index}`,
+            "-frames:v", String(IDET_FRAMES),
+            "-vf", "idet",
+            "-an", "-f", "null", "-"
+        ];
+        const proc = spawn_tool(FFMPEG, args, ["ignore", "ignore", "pipe"], v);
+        proc.stderr.on("data", d => bufsErr.push(d));
+        supervise([proc]).then(failed => {
+            if (failed) {
+                return rej(tool_error("Interlace detection failed", failed));
+            }
+            const str = Buffer.concat(bufsErr).toString();
+            const multi = /Multi frame detection:\s*TFF:\s*(\d+)\s*BFF:\s*(\d+)\s*Progressive:\s*(\d+)\s*Undetermined:\s*(\d+)/.exec(str);
+            const rep = /Repeated Fields:\s*Neither:\s*(\d+)\s*Top:\s*(\d+)\s*Bottom:\s*(\d+)/.exec(str);
+            res({
+                combed: multi ? Number(multi[1]) + Number(multi[2]) : 0,
+                progressive: multi ? Number(multi[3]) : 0,
+                undetermined: multi ? Number(multi[4]) : 0,
+                repeated: rep ? Number(rep[2]) + Number(rep[3]) : 0
+            });
+        });
+    });
+}
+
+// sample the picture across the title with idet
+// resolves with the summed up counts of every sample
+export async function detect_interlace(input, index, start, length, v) {
+    const sum = { combed: 0, progressive: 0, undetermined: 0, repeated: 0 };
+    for (let i = 0; i < IDET_SAMPLES; i++) {
+        const counts = await sample_idet(input, index, start + length * (0.1 + 0.8 * i / (IDET_SAMPLES - 1)), v);
+        for (const k of Object.keys(sum)) {
+            sum[k] += counts[k];
+        }
+    }
+    return sum;
+}
+
+// ~30 fps is what 3:2 pulldown makes out of film
+export function is_ntsc_rate(fps) {
+    return Math.abs(fps - 30000 / 1001) < 0.01 || Math.abs(fps - 30) < 0.01;
+}
+
+// progressive, interlaced or telecine from idet counts
+// hard telecine combs two of every five frames, soft telecine repeats fields instead
+// only ~30 fps can be 3:2 pulldown, anything else combed is just interlaced
+export function classify_interlace(counts, fps) {
+    const total = counts.combed + counts.progressive + counts.undetermined;
+    if (total < 1) {
+        return "progressive";
+    }
+    const combed = counts.combed / total, repeated = counts.repeated / total;
+    if (is_ntsc_rate(fps) && (repeated >= TELECINE_SHARE || (combed >= TELECINE_SHARE && combed < COMBED_MAX))) {
+        return "telecine";
+    }
+    return combed >= INTERLACED_SHARE ? "interlaced" : "progressive";
+}
+
+// filter chain for content, bwdif when ffmpeg has it and yadif otherwise
+// leftover combed frames after field matching are deinterlaced before decimate drops the repeats
+// returns { filters, ratio, deint } where ratio is output frames per source frame
+export function deinterlace_filters(content, double, available) {
+    const deint = available && available.includes("bwdif") ? "bwdif" : "yadif";
+    if (content === "telecine") {
+        return { filters: ["fieldmatch=order=auto:combmatch=full", `${deint}=deint=interlaced`, "decimate"], ratio: 4 / 5, deint };
+    }
+    if (content === "interlaced") {
+        return { filters: [`${deint}=${double ? "1" : "0"}`], ratio: double ? 2 : 1, deint };
+    }
+    return { filters: [], ratio: 1, deint: null };
+}
@@ -0,0 +1,1220 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { EventEmitter } from "node:events";
+import { rmSync } from "node:fs";
+import { mkdir, readFile, rm, stat } from "node:fs/promises";
+import { basename, dirname, extname, join, resolve } from "node:path";
+import { DOVI_TOOL, FFMPEG, MKVMERGE, X265 } from "./tools.js";
+import { generate_temp_name, parse_position, parse_slash_number, write_json, OUTPUT_SUFFIX } from "./util.js";
+import { find, get_duration, is_cover, probe_frame, run_ffprobe } from "./probe.js";
+import { check_counts, detect_hdr, extract_commands, generate_command, generate_level6, generate_rpu, inject_commands, metadata_counts, post_hdr, pre_hdr, xtract_args, DV_MODES, MISMATCH_MODES, P5_COLOURS, P5_RESHAPE } from "./hdr.js";
+import { detect_scenes, plan_chunks, transcode, transcode_chunks } from "./transcode.js";
+import { audio_plan, audio_transcode, codec_args, parse_rule } from "./audio.js";
+import { mkvmerge, mkvmerge_args, mkvmerge_identify, mkvmerge_ids, track_tags } from "./merge.js";
+import { flag_overrides, order_tracks, parse_langs, parse_order, parse_selector, select_tracks, stream_lang } from "./tracks.js";
+import { args_to_params, collect_params, merge_params, params_to_args, parse_param_string } from "./x265.js";
+import { job_context, kill_context, tool_error } from "./proc.js";
+import { BASE_TOOLS, find_tool, preflight, require_tools } from "./preflight.js";
+import { crop_filter, detect_crop, parse_crop } from "./crop.js";
+import { plan_resize, scale_filters, SCALERS } from "./scale.js";
+import { is_hdr, tonemap_filters, TONEMAPPERS } from "./tonemap.js";
+import { compare_cll, measure_args, measure_cll } from "./cll.js";
+import { parse_pix_fmt, resolve_colours, SWS_MATRICES } from "./colour.js";
+import { classify_interlace, deinterlace_filters, detect_interlace, is_ntsc_rate, DEINTERLACE_MODES } from "./interlace.js";
+import { double_timestamps, frame_at, is_vfr, rates_differ, read_timestamps, time_of, write_timecodes, VFR_MODES } from "./vfr.js";
+import { format_ranges, ranges_string, scan_frames, DYNAMIC_FORMATS, SCAN_MODES } from "./scan.js";
+import { CancelledError, HdrsError, InputError, PreflightError, ProbeError, ResumeError } from "./errors.js";
+
+// options understood by plan(), the cli uses the same names
+export const DEFAULT_OPTIONS = {
+    output: null,
+    preset: "medium",
+    crf: "23",
+    keepBit: false,
+    doubleFps: false,
+    time: null,
+    seek: null,
+    end: null,
+    crop: "none",
+    resize: null,
+    maxHeight: null,
+    scaler: "spline36",
+    sdr: false,
+    tonemap: null,
+    tonemapDynamic: false,
+    dvMode: "convert",
+    generateDv: false,
+    measureCll: false,
+    hdrScan: "sample",
+    hdrMismatch: "error",
+    deinterlace: "auto",
+    vfr: "auto",
+    videoStream: null,
+    args: null,
+    x265: null,
+    workers: "1",
+    minChunk: "20",
+    sceneThreshold: "0.4",
+    audio: null,
+    opus: false,
+    opusBitrate: "128",
+    audioLangs: null,
+    subLangs: null,
+    keep: null,
+    drop: null,
+    trackOrder: "source",
+    defaultTrack: null,
+    forcedTrack: null,
+    chapters: true,
+    attachments: true,
+    globalTags: true,
+    title: null,
+    resume: false,
+    keepTemp: false,
+    verbose: false
+};
+
+// stages encode() goes through, in order
+export const STAGES = ["measure", "extract", "transcode", "inject", "audio", "merge"];
+
+// options that change the encode, resuming with different ones is refused
+// hdrMismatch isn't one, it only decides what the inject stage does with a wrong count
+const RESUME_SETTINGS = ["preset", "crf", "keepBit", "deinterlace", "doubleFps", "time", "seek", "end", "crop", "resize", "maxHeight", "scaler", "sdr", "tonemap", "tonemapDynamic", "dvMode", "generateDv", "measureCll", "hdrScan", "videoStream", "vfr", "args", "x265", "workers", "minChunk", "sceneThreshold", "audio", "opus", "opusBitrate", "audioLangs", "subLangs", "keep", "drop", "trackOrder", "defaultTrack", "forcedTrack", "chapters", "attachments", "globalTags", "title"];
+
+const MANIFEST_SUFFIX = ".manifest.json";
+
+// various translations
+const COLOR_RANGE = {
+    pc: "full",
+    tv: "limited"
+};
+
+// work out the source frame range to encode, null when it's everything
+// start is the first frame, end the first one left out or null for the end of the video
+// times are the frame timestamps in ms of variable frame rate sources
+function plan_trim(seek, time, end, fps, duration, times = null) {
+    const to_frame = p => p.frame ?? (times ? frame_at(times, p.seconds * 1000) : Math.round(p.seconds * fps));
+    const total = times ? times.length : Math.round(duration * fps);
+    const start = seek ? to_frame(seek) : 0;
+    if (start >= total) {
+        throw new InputError(`Start position is past the end of the video (${total} frames)`);
+    }
+    let stop = null;
+    if (time && times && time.frame === undefined) {
+        stop = frame_at(times, times[start] + time.seconds * 1000);
+    } else if (time) {
+        stop = start + to_frame(time);
+    } else if (end) {
+        stop = to_frame(end);
+    }
+    if (stop !== null && stop <= start) {
+        throw new InputError("Trim end is not after its start");
+    }
+    if (stop !== null && stop >= total) {
+        stop = null;
+    }
+    if (start === 0 && stop === null) {
+        return null;
+    }
+    return { start, end: stop };
+}
+
+// output next to the cwd if nothing else is given
+export function default_output(input) {
+    return join(process.cwd(), basename(input, extname(input)) + OUTPUT_SUFFIX);
+}
+
+// manifest for resuming lives next to the output
+export function manifest_path(output) {
+    return output + MANIFEST_SUFFIX;
+}
+
+// snapshot of input file and settings, a resume must match these
+async function job_fingerprint(input, opts) {
+    const st = await stat(input).catch(() => null);
+    if (!st || !st.isFile()) {
+        throw new InputError(`Input not found: ${input}`);
+    }
+    const settings = {};
+    for (const k of RESUME_SETTINGS) {
+        settings[k] = opts[k] ?? null;
+    }
+    return { input: { path: input, size: st.size, mtime: st.mtimeMs }, settings };
+}
+
+// temp files finished stages of a manifest made, that a resume still needs
+function stage_files(m) {
+    const needed = [];
+    if (m.stages.extract && !m.stages.inject) {
+        needed.push(m.paths.dv, m.paths.plus);
+    }
+    if (m.stages.extract && !m.stages.merge) {
+        needed.push(m.paths.timecodes);
+    }
+    if (m.stages.transcode && !m.stages.merge) {
+        needed.push(m.paths.temp);
+    }
+    if (!m.stages.merge) {
+        needed.push(...m.audio_done.map(i => m.paths.audio_temp[i]));
+    }
+    return needed.filter(f => f);
+}
+
+// load a manifest for resuming, refuses if input or settings changed
+async function load_manifest(file, fingerprint) {
+    let m;
+    try {
+        m = JSON.parse(await readFile(file, "utf8"));
+    } catch (e) {
+        if (e.code === "ENOENT") {
+            return null;
+        }
+        throw new ResumeError(`Could not read manifest ${file}: ${e.message}`);
+    }
+    if (m.version !== 1) {
+        throw new ResumeError(`Unsupported manifest version in ${file}`);
+    }
+    const a = m.fingerprint.input, b = fingerprint.input;
+    if (a.path !== b.path || a.size !== b.size || a.mtime !== b.mtime) {
+        throw new ResumeError("Input file changed since the manifest was written, can't resume");
+    }
+    for (const k of RESUME_SETTINGS) {
+        const old = m.fingerprint.settings[k] ?? null, cur = fingerprint.settings[k];
+        if (JSON.stringify(old) !== JSON.stringify(cur)) {
+            throw new ResumeError(`Setting "${k}" changed since the manifest was written (${old} -> ${cur}), can't resume`);
+        }
+    }
+
+    // every temp file of a finished stage has to still be around
+    for (const f of stage_files(m)) {
+        if (!await stat(f).catch(() => null)) {
+            throw new ResumeError(`Temp file ${f} from the manifest is missing, can't resume`);
+        }
+    }
+    return m;
+}
+
+// run ffprobe on a file
+export async function probe(input) {
+    const d = await run_ffprobe(resolve(input));
+    if (d._e) {
+        throw new ProbeError(`Could not parse with ffprobe: ${d._e}`, d._e);
+    }
+    return d;
+}
+
+// the video stream to encode, cover art and thumbnails are skipped unless asked for by index
+function pick_video(streams, wanted, info) {
+    const videos = streams.filter(x => x.codec_type === "video");
+    if (wanted !== null && wanted !== undefined) {
+        const index = Number(wanted);
+        const stream = videos.find(x => x.index === index);
+        if (!Number.isInteger(index) || stream === undefined) {
+            throw new InputError(`Stream ${wanted} isn't a video stream, video streams are ${videos.map(x => x.index).join(", ") || "missing"}`);
+        }
+        return stream;
+    }
+    const found = videos.filter(x => !is_cover(x));
+    if (found.length < 1) {
+        throw new InputError(videos.length > 0 ? "The file only has cover art, no video stream to encode" : "No video stream was found in the file");
+    }
+    if (videos.length > found.length) {
+        info(`Skipping cover art in stream ${videos.filter(is_cover).map(x => x.index).join(", ")}`);
+    }
+    if (found.length > 1) {
+        info(`Encoding video stream ${found[0].index} of ${found.map(x => x.index).join(", ")}, --video-stream picks another`);
+    }
+    return found[0];
+}
+
+// probe a file and work out everything needed to encode it
+// nothing is written or extracted yet, that's up to encode()
+export async function plan(input, options = {}) {
+    const opts = {};
+    for (const [k, v] of Object.entries(DEFAULT_OPTIONS)) {
+        opts[k] = options[k] ?? v;
+    }
+    input = resolve(input);
+    const output = opts.output ? resolve(opts.output) : default_output(input);
+    const messages = [];
+    const info = message => messages.push({ level: "info", message });
+    const warning = message => messages.push({ level: "warning", message });
+
+    // resume from a manifest if asked to
+    const manifest_file = manifest_path(output);
+    const fingerprint = await job_fingerprint(input, opts);
+    if (opts.resume) {
+        const m = await load_manifest(manifest_file, fingerprint);
+        if (m) {
+            const stage = STAGES.find(s => !m.stages[s] && (s !== "measure" || m.measure)) || "cleanup";
+            m.options = opts;
+            // NaN comes back as null from json
+            m.duration = m.duration ?? NaN;
+            m.frames = m.frames ?? NaN;
+            m.length = m.length ?? m.duration;
+            m.codec = m.codec ?? "hevc";
+            m.messages = [{ level: "info", message: `Resuming from manifest, continuing at stage "${stage}"` }];
+            return m;
+        }
+        info("No manifest found, starting from scratch");
+    } else if (await stat(manifest_file).catch(() => null)) {
+        warning("Found a manifest from an unfinished run, use --resume to continue it instead");
+    }
+
+    // option checks
+    const workers = Number(opts.workers);
+    if (!Number.isInteger(workers) || workers < 1) {
+        throw new InputError("Invalid worker count");
+    }
+    if (workers > 1 && (isNaN(Number(opts.minChunk)) || Number(opts.minChunk) <= 0)) {
+        throw new InputError("Invalid minimum chunk length");
+    }
+    const positions = {};
+    for (const k of ["seek", "time", "end"]) {
+        positions[k] = opts[k] ? parse_position(opts[k]) : null;
+        if (opts[k] && !positions[k]) {
+            throw new InputError(`Invalid ${k} "${opts[k]}", use seconds, [HH:]MM:SS[.ms] or a frame number like 1200f`);
+        }
+    }
+    if (positions.time && positions.end) {
+        throw new InputError("Only one of time and end can be given");
+    }
+    if (!["auto", "none"].includes(opts.crop) && !parse_crop(opts.crop)) {
+        throw new InputError(`Invalid crop "${opts.crop}", use auto, none or W:H:X:Y`);
+    }
+    if (opts.resize && opts.maxHeight) {
+        throw new InputError("Only one of resize and max height can be given");
+    }
+    if (!DV_MODES.includes(opts.dvMode)) {
+        throw new InputError(`Unknown Dolby Vision mode "${opts.dvMode}", use one of ${DV_MODES.join(", ")}`);
+    }
+    if (opts.tonemap && !TONEMAPPERS.includes(opts.tonemap)) {
+        throw new InputError(`Unknown tonemapping "${opts.tonemap}", use one of ${TONEMAPPERS.join(", ")}`);
+    }
+    if (!SCAN_MODES.includes(opts.hdrScan)) {
+        throw new InputError(`Unknown HDR scan "${opts.hdrScan}", use one of ${SCAN_MODES.join(", ")}`);
+    }
+    if (!DEINTERLACE_MODES.includes(opts.deinterlace)) {
+        throw new InputError(`Unknown deinterlacing "${opts.deinterlace}", use one of ${DEINTERLACE_MODES.join(", ")}`);
+    }
+    if (!VFR_MODES.includes(opts.vfr)) {
+        throw new InputError(`Unknown VFR handling "${opts.vfr}", use one of ${VFR_MODES.join(", ")}`);
+    }
+    if (!MISMATCH_MODES.includes(opts.hdrMismatch)) {
+        throw new InputError(`Unknown HDR mismatch handling "${opts.hdrMismatch}", use one of ${MISMATCH_MODES.join(", ")}`);
+    }
+    if (!SCALERS[opts.scaler]) {
+        throw new InputError(`Unknown scaler "${opts.scaler}", use one of ${Object.keys(SCALERS).join(", ")}`);
+    }
+    if (!(Number(opts.opusBitrate) > 0)) {
+        throw new InputError(`Invalid opus bitrate "${opts.opusBitrate}"`);
+    }
+    // --opus is a catch all rule after the others
+    const audio_rules = [...list_option(opts.audio), ...(opts.opus ? ["action=opus"] : [])].map(parse_rule);
+    const selection = {
+        keep: list_option(opts.keep).map(parse_selector),
+        drop: list_option(opts.drop).map(parse_selector),
+        langs: { audio: parse_langs(opts.audioLangs), subtitle: parse_langs(opts.subLangs) }
+    };
+    const track_order = parse_order(opts.trackOrder);
+    const default_tracks = list_option(opts.defaultTrack).map(parse_selector);
+    const forced_tracks = list_option(opts.forcedTrack).map(parse_selector);
+    await require_tools(BASE_TOOLS);
+
+    const d = await probe(input);
+
+    // content checks
+    if (d.streams.length < 1) {
+        throw new InputError("No streams were found in the file");
+    }
+    const stream = pick_video(d.streams, opts.videoStream, info);
+    let frame = d.frames.find(f => f.stream_index === stream.index) || await probe_frame(input, stream.index);
+    if (frame === undefined) {
+        throw new InputError("No frames were found in the video stream");
+    }
+
+    // dynamic metadata can start after a logo, so more than the first frame is looked at
+    if (opts.hdrScan !== "first") {
+        const scanned = await scan_frames(input, stream.index, opts.hdrScan, get_duration(stream, d.format), parse_slash_number(stream.r_frame_rate), opts.verbose);
+        const list = frame.side_data_list || [];
+        const extra = [];
+        for (const [name, r] of Object.entries(format_ranges(scanned))) {
+            info(`${name} in frames ${ranges_string(r.present)}`);
+            if (r.missing.length > 0) {
+                warning(`${name} missing in frames ${ranges_string(r.missing)}`);
+            }
+            for (const type of DYNAMIC_FORMATS[name].filter(t => !find(list, t))) {
+                extra.push({ side_data_type: type });
+            }
+        }
+        frame = { ...frame, side_data_list: [...list, ...extra] };
+    }
+
+    // source tracks to keep, dropped audio isn't transcoded either
+    const selected = select_tracks(d.streams, selection);
+    if (selected.dropped.length > 0) {
+        info(`Dropping source tracks ${selected.dropped.map(s => `${s.index} (${s.codec_type}, ${stream_lang(s)}, ${s.codec_name})`).join(", ")}`);
+    }
+    const audio_streams = selected.kept.filter(x => x.codec_type === "audio");
+    const sub_streams = selected.kept.filter(x => x.codec_type === "subtitle");
+    if (audio_streams.length < 1 && d.streams.some(x => x.codec_type === "audio")) {
+        warning("Every audio track is dropped");
+    }
+    if (audio_rules.length > 0 && audio_streams.length < 1) {
+        warning("Audio rules given but no audio streams found");
+    }
+
+    // store current tempfiles
+    let paths = {
+        input,
+        output,
+        temp: generate_temp_name(".hevc"),
+        dv: null,
+        dv_gen: null,
+        plus: null,
+        timecodes: null,
+        audio_temp: []
+    };
+
+    // lets start creating arguments
+    let ff_args = [
+        "-i", paths.input,
+        "-map", `0:${stream.index}`
+    ];
+    let x265_args = [
+        "--input", "-",
+        "--y4m",
+    ];
+
+    // hdr shenanigans
+    const hdr = detect_hdr(stream, frame);
+    for (const f of hdr.formats) {
+        info(`Found ${f}`);
+    }
+
+    // colour tags in x265's names, anything missing is guessed
+    const resolved = resolve_colours(stream, hdr);
+    if (resolved.unknown.length > 0) {
+        warning(`Unknown colour ${resolved.unknown.join(", ")}, assuming ${resolved.guess.label}`);
+    }
+    if (resolved.guessed.length > 0) {
+        info(`No colour ${resolved.guessed.join(", ")} tags, assuming ${resolved.guess.label}`);
+    }
+
+    // sdr output is tonemapped on the decode side, hdr metadata isn't carried over
+    let tonemap = opts.tonemap || (opts.sdr ? "hable" : null);
+    if (tonemap && !is_hdr(resolved.tags) && hdr.dv_profile !== 5) {
+        warning("Source isn't HDR, there's nothing to tonemap");
+        tonemap = null;
+    }
+
+    // first off, pixel format
+    // formats x265 or y4m can't take are converted, rgb goes to yuv 4:4:4
+    const fmt = parse_pix_fmt(stream.pix_fmt);
+    const matrix = fmt.rgb ? resolved.guess.color_space : resolved.tags.color_space;
+    if (fmt.convert) {
+        info(`Converting ${stream.pix_fmt} to ${fmt.pix_fmt}${fmt.rgb ? ` with the ${matrix} matrix` : ""}`);
+    }
+    // tonemapped sdr counts as 8 bit, the tonemap filters output whatever depth that ends up as
+    const depth = tonemap ? "8" : fmt.depth;
+    const source = tonemap ? "SDR" : "Input";
+    // keep bit depth if requested and use aq mode 3 for 8 bit
+    if (opts.keepBit) {
+        x265_args.push("--output-depth", depth);
+        if (depth === "8") {
+            info(`${source} depth is 8, using "aq-mode=3" to improve darker scenes`);
+            x265_args.push("--aq-mode", "3");
+        }
+    } else {
+        if (depth === "8") {
+            info(`${source} depth is 8, using output depth 10 to improve darker scenes`);
+            x265_args.push("--output-depth", "10");
+        } else {
+            x265_args.push("--output-depth", depth);
+        }
+    }
+
+    // dolby vision profiles, 7 is dual layer and 5 isn't even yuv
+    // convert is the dovi_tool mode the rpu is extracted with, that only reads hevc
+    const hevc = stream.codec_name === "hevc";
+    let dovi = null;
+    if (hdr.dv && !tonemap) {
+        dovi = { profile: hdr.dv_profile, mode: opts.dvMode, convert: null, reshape: hdr.dv_profile === 5 };
+        if (!hevc && hdr.dv_compat === 0) {
+            throw new InputError(`Dolby Vision profile ${dovi.profile} in ${stream.codec_name} has no compatible base layer, it can't be encoded without its RPU`);
+        }
+        if (dovi.reshape && opts.dvMode === "keep") {
+            throw new InputError("Dolby Vision profile 5 can't be kept, its picture only works with the RPU, use --dv-mode convert or drop");
+        }
+        if (dovi.reshape) {
+            const ffmpeg = await find_tool("ffmpeg");
+            if (ffmpeg.found && !ffmpeg.filters.includes("libplacebo")) {
+                throw new PreflightError(["Dolby Vision profile 5 needs an ffmpeg with libplacebo to reshape its colours, refusing to encode them wrong"]);
+            }
+            info("Reshaping Dolby Vision profile 5 to PQ BT.2020");
+        }
+        if (opts.dvMode === "drop") {
+            info("Dropping Dolby Vision metadata");
+        } else if (!hevc) {
+            // not supported yet, dovi_tool only reads rpus from hevc and ffmpeg's side data has no raw rpu
+            dovi.mode = "drop";
+            warning(`Dolby Vision RPUs can't be read from ${stream.codec_name}, dropping them, --generate-dv can make profile 8.1 from HDR10(+)`);
+        } else if (opts.dvMode === "convert" && (dovi.profile === 7 || dovi.profile === 5)) {
+            dovi.convert = dovi.profile === 7 ? 2 : 3;
+            info(`Converting Dolby Vision profile ${dovi.profile} to 8.1`);
+        } else if (dovi.profile === 7) {
+            warning("Keeping the profile 7 RPU, a single layer encode with it isn't standard");
+        } else if (dovi.profile !== 8) {
+            warning(`Dolby Vision profile ${dovi.profile ?? "unknown"} can't be converted, keeping the RPU as is`);
+        }
+    }
+    const tagged = {
+        ...stream,
+        ...resolved.tags,
+        color_space: matrix,
+        color_range: fmt.full ? "pc" : fmt.rgb ? "tv" : stream.color_range,
+        pix_fmt: fmt.pix_fmt
+    };
+    const colours = dovi && dovi.reshape ? { ...tagged, ...P5_COLOURS } : tagged;
+
+    // add color data if they exist, sdr is always bt.709
+    if (tonemap) {
+        x265_args.push(
+            "--range", "limited",
+            "--colorprim", "bt709",
+            "--transfer", "bt709",
+            "--colormatrix", "bt709"
+        );
+    } else if (COLOR_RANGE[colours.color_range]) {
+        x265_args.push("--range", COLOR_RANGE[colours.color_range]);
+    }
+    if (!tonemap && colours.color_primaries) {
+        x265_args.push("--colorprim", colours.color_primaries);
+    }
+    if (!tonemap && colours.color_transfer) {
+        x265_args.push("--transfer", colours.color_transfer);
+    }
+    if (!tonemap && colours.color_space) {
+        x265_args.push("--colormatrix", colours.color_space);
+    }
+
+    if (tonemap) {
+        info("Output is SDR, HDR metadata is dropped");
+    } else {
+        x265_args.push(...hdr.args);
+    }
+    if (dovi && dovi.mode !== "drop") {
+        paths.dv = generate_temp_name(".bin");
+    }
+    if (hdr.plus && !tonemap) {
+        paths.plus = generate_temp_name(".json");
+    }
+    await require_tools([
+        ...(paths.dv || (opts.generateDv && !tonemap) ? ["dovi_tool"] : []),
+        ...(paths.plus ? ["hdr10plus_tool"] : [])
+    ]);
+
+    // add user defined stuff and output path
+    x265_args.push(
+        "--preset", opts.preset,
+        "--crf", opts.crf,
+        "--output", paths.temp
+    );
+
+    // handle interlaced video
+    const filters = dovi && dovi.reshape ? [P5_RESHAPE] : [];
+    if (fmt.rgb) {
+        filters.push(`scale=out_color_matrix=${SWS_MATRICES[matrix]}:out_range=limited`, `format=${fmt.pix_fmt}`);
+    } else if (fmt.convert) {
+        filters.push(`format=${fmt.pix_fmt}`);
+    }
+    const src_fps = parse_slash_number(stream.r_frame_rate);
+    const duration = get_duration(stream, d.format);
+
+    // handle interlaced video, flagged streams and ones that could be telecined are looked at with idet
+    const flagged = !!stream.field_order && stream.field_order !== "progressive";
+    let content = { off: "progressive", deinterlace: "interlaced", ivtc: "telecine" }[opts.deinterlace] || "progressive";
+    if (opts.deinterlace === "auto" && (flagged || is_ntsc_rate(src_fps))) {
+        if (isNaN(duration)) {
+            content = flagged ? "interlaced" : "progressive";
+        } else {
+            info("Looking for interlacing and telecine");
+            content = classify_interlace(await detect_interlace(input, stream.index, 0, duration, opts.verbose), src_fps);
+            if (flagged && content === "progressive") {
+                info("Flagged as interlaced but the picture is progressive, not deinterlacing");
+            }
+        }
+    }
+    const ff_tool = content !== "progressive" ? await find_tool("ffmpeg") : null;
+    const deint = deinterlace_filters(content, opts.doubleFps, ff_tool && ff_tool.found ? ff_tool.filters : null);
+    if (content === "telecine") {
+        info(`Telecined video, inverse telecine to ${(src_fps * deint.ratio).toFixed(3)} fps with fieldmatch and decimate`);
+    } else if (content === "interlaced") {
+        info(`Interlaced video, using ${deint.deint} to deinterlace`);
+    }
+    filters.push(...deint.filters);
+    let fps = src_fps * deint.ratio;
+
+    // duration and rough framecount estimate
+    const ratio = deint.ratio;
+    let frames = Math.ceil(duration * fps);
+
+    // variable frame rate sources keep their timestamps, counted they give the exact frame count
+    let source_times = null;
+    if (opts.vfr === "scan" || (opts.vfr === "auto" && rates_differ(stream))) {
+        const read = await read_timestamps(input, stream.index, opts.verbose);
+        if (is_vfr(read) && ratio < 1) {
+            warning("Variable frame rate timestamps can't be kept through inverse telecine, encoding at a constant rate");
+        } else if (is_vfr(read)) {
+            source_times = read.map(t => t - read[0]);
+            frames = Math.round(read.length * ratio);
+            fps = frames * 1000 / time_of(source_times, source_times.length);
+            info(`Variable frame rate, ${read.length} frames averaging ${fps.toFixed(3)} fps, their timestamps are kept`);
+        }
+    }
+
+    // trimming works in source frames, dynamic metadata is cut to the same ones later
+    // ffmpeg seeks half a frame early so rounding can't skip the first frame
+    const trim = plan_trim(positions.seek, positions.time, positions.end, src_fps, duration, source_times);
+    if (trim) {
+        const seek = source_times ? (time_of(source_times, trim.start - 1) + source_times[trim.start]) / 2000 : (trim.start - 0.5) / src_fps;
+        if (source_times) {
+            const end = trim.end ?? source_times.length;
+            frames = Math.round((end - trim.start) * ratio);
+            trim.start_time = source_times[trim.start] / 1000;
+            trim.length = (time_of(source_times, end) - source_times[trim.start]) / 1000;
+        } else {
+            frames = Math.round(trim.end !== null ? (trim.end - trim.start) * ratio : frames - trim.start * ratio);
+            trim.start_time = trim.start / src_fps;
+            trim.length = frames / fps;
+        }
+        info(`Encoding frames ${trim.start} to ${trim.end !== null ? trim.end - 1 : "the end"}`);
+        if (trim.start > 0) {
+            ff_args.unshift("-ss", seek.toFixed(6));
+        }
+        if (trim.end !== null) {
+            ff_args.push("-frames:v", String(frames));
+        }
+    }
+
+    // timestamps of the encoded frames from zero, for mkvmerge
+    let timestamps = null;
+    if (source_times) {
+        const from = trim ? trim.start : 0;
+        timestamps = source_times.slice(from, trim && trim.end !== null ? trim.end : undefined).map(t => t - source_times[from]);
+        if (ratio === 2) {
+            timestamps = double_timestamps(timestamps);
+        }
+        paths.timecodes = generate_temp_name(".txt");
+    }
+
+    // crop black bars, by hand or by sampling the encoded range
+    let crop = null;
+    if (opts.crop === "auto") {
+        const length = trim ? trim.length : duration;
+        if (isNaN(length)) {
+            warning("Unknown duration, can't detect black bars");
+        } else {
+            info("Detecting black bars");
+            const detected = await detect_crop(input, stream.index, trim ? trim.start_time : 0, length, stream.width, stream.height, opts.verbose);
+            crop = detected.crop;
+            if (detected.changes) {
+                warning("Aspect ratio changes within the video, cropping to the largest picture so nothing is lost");
+            }
+            if (!crop) {
+                info("No black bars found");
+            }
+        }
+    } else if (opts.crop !== "none") {
+        crop = parse_crop(opts.crop);
+        if (crop.w < 1 || crop.h < 1 || crop.x + crop.w > stream.width || crop.y + crop.h > stream.height) {
+            throw new InputError(`Crop ${opts.crop} doesn't fit in the ${stream.width}x${stream.height} picture`);
+        }
+        if ([crop.w, crop.h, crop.x, crop.y].some(n => n % 2 !== 0)) {
+            throw new InputError(`Crop ${opts.crop} has to be on even pixels`);
+        }
+    }
+    if (crop) {
+        // the full frame size is kept for moving the dolby vision active area
+        crop = { ...crop, from_w: stream.width, from_h: stream.height };
+        info(`Cropping to ${crop.w}x${crop.h} at ${crop.x},${crop.y}`);
+        filters.push(crop_filter(crop));
+    }
+
+    // downscaling, sizes are for what's left after the crop
+    let resize = null;
+    if (opts.resize || opts.maxHeight) {
+        const width = crop ? crop.w : stream.width, height = crop ? crop.h : stream.height;
+        resize = plan_resize(opts.resize, opts.maxHeight, width, height, stream.height);
+        if (!resize) {
+            info("Picture is already within the requested size");
+        } else if (resize.w > width || resize.h > height) {
+            warning(`Upscaling from ${width}x${height}`);
+        }
+    }
+    if (resize) {
+        const ffmpeg = await find_tool("ffmpeg");
+        const zscale = !!ffmpeg.filters && ffmpeg.filters.includes("zscale");
+        const scale = scale_filters(resize, opts.scaler, colours, zscale);
+        resize.linear = scale.linear;
+        info(`Resizing to ${resize.w}x${resize.h} with ${opts.scaler}, ${scale.linear ? "in linear light through zscale" : zscale ? "through zscale" : "through swscale as zscale isn't available"}`);
+        filters.push(...scale.filters);
+    }
+
+    // tonemapping goes last, after scaling in the source colours
+    if (tonemap) {
+        const ffmpeg = await find_tool("ffmpeg");
+        const sdr_fmt = `${fmt.csp === "i400" ? "gray" : `${fmt.csp.replace("i", "yuv")}p`}${opts.keepBit ? "" : "10le"}`;
+        const tm = tonemap_filters(tonemap, colours, sdr_fmt, hdr, opts.tonemapDynamic, ffmpeg.found ? ffmpeg.filters : null);
+        if (opts.tonemapDynamic && !tm.dynamic) {
+            warning("No Dolby Vision or HDR10+ metadata to guide tonemapping, using a static curve");
+        }
+        info(`Tonemapping to SDR with ${tm.dynamic ? `${tm.dynamic} metadata` : tonemap}`);
+        filters.push(...tm.filters);
+        tonemap = { algo: tonemap, dynamic: tm.dynamic, pix_fmt: sdr_fmt };
+    }
+    if (filters.length > 0) {
+        ff_args.push("-vf", filters.join(","));
+    }
+    if (timestamps) {
+        // the y4m muxer would duplicate and drop frames to a constant rate otherwise
+        ff_args.push("-fps_mode", "passthrough");
+    }
+
+    // add ffmpeg output options
+    ff_args.push(
+        "-f", "yuv4mpegpipe",
+        "-strict", "-1",
+        "-"
+    );
+
+    // user supplied x265 params override the generated ones
+    // profile objects first, then the --args string, then single --x265 params
+    const x265_sources = Array.isArray(opts.x265) ? opts.x265 : [opts.x265];
+    const user_params = [
+        ...collect_params(x265_sources.filter(x => typeof x === "object")),
+        ...(opts.args ? parse_param_string(opts.args) : []),
+        ...collect_params(x265_sources.filter(x => typeof x === "string"))
+    ];
+    const merged = merge_params(args_to_params(x265_args), user_params);
+    merged.warnings.forEach(warning);
+    x265_args.splice(0, x265_args.length, ...params_to_args(merged.params));
+
+    // light levels of the encoded picture, measured before the transcode for --max-cll
+    let measure = null;
+    if (opts.measureCll) {
+        if (tonemap) {
+            warning("SDR output has no content light levels, not measuring them");
+        } else if (colours.color_transfer !== "smpte2084") {
+            warning("MaxCLL and MaxFALL can only be measured for PQ, not measuring them");
+        } else if (user_params.some(([k]) => k === "max-cll")) {
+            warning("max-cll is given by hand, not measuring it");
+        } else {
+            const cll = hdr.args.indexOf("--max-cll");
+            measure = {
+                width: resize ? resize.w : crop ? crop.w : stream.width,
+                height: resize ? resize.h : crop ? crop.h : stream.height,
+                source: cll !== -1 ? hdr.args[cll + 1] : null
+            };
+            info("Measuring MaxCLL and MaxFALL before transcoding");
+        }
+    }
+
+    // dolby vision for sources that only have hdr10(+), made after the transcode
+    let generate = null;
+    if (opts.generateDv) {
+        const level6 = generate_level6(x265_args);
+        if (tonemap) {
+            warning("SDR output can't carry Dolby Vision, not generating it");
+        } else if (paths.dv) {
+            info("Source already has Dolby Vision, not generating it");
+        } else if (!paths.plus && !level6) {
+            warning("No HDR10+ or mastering display metadata to generate Dolby Vision from");
+        } else {
+            generate = { from: paths.plus ? "HDR10+" : "HDR10", level6 };
+            paths.dv_gen = generate_temp_name(".bin");
+            info(`Generating Dolby Vision profile 8.1 from ${generate.from} metadata`);
+        }
+    }
+
+    // audio go brrr, copied tracks come straight from the source at merge
+    const ordered = order_tracks(selected.kept, track_order, selection.langs);
+    const flags = flag_overrides(ordered, default_tracks, forced_tracks);
+    const policy = audio_plan(audio_streams, audio_rules, opts.opusBitrate);
+    const audio = [];
+    for (const t of policy.encode) {
+        const s = audio_streams.find(x => x.index === t.index);
+        const path = generate_temp_name(".mka");
+        paths.audio_temp.push(path);
+        audio.push({
+            ...t,
+            duration: trim ? trim.length : get_duration(s, d.format),
+            // a compatibility track never takes the default flag from its source
+            tags: { ...track_tags(s), ...flags[t.index], ...(t.fallback ? { default: 0 } : {}) },
+            args: [
+                ...(trim && trim.start > 0 ? ["-ss", trim.start_time.toFixed(6)] : []),
+                "-i", paths.input,
+                ...(trim && trim.end !== null ? ["-t", trim.length.toFixed(6)] : []),
+                "-map", `0:${t.index}`,
+                "-map_chapters", "-1",
+                "-map_metadata", "-1",
+                ...codec_args(t),
+                "-y",
+                path
+            ]
+        });
+    }
+
+    // what mkvmerge takes from the source and in which order, fallbacks follow their source
+    const order = [];
+    for (const s of ordered) {
+        const encoded = audio.map((a, i) => ({ a, i })).filter(x => x.a.index === s.index);
+        order.push(...encoded.filter(x => !x.a.fallback).map(x => ({ temp: x.i })));
+        if (s.codec_type !== "audio" || policy.copy.includes(s.index)) {
+            order.push({ source: s.index });
+        }
+        order.push(...encoded.filter(x => x.a.fallback).map(x => ({ temp: x.i })));
+    }
+    const tracks = {
+        audio: policy.copy.length < d.streams.filter(x => x.codec_type === "audio").length ? policy.copy : null,
+        subtitles: sub_streams.length < d.streams.filter(x => x.codec_type === "subtitle").length ? sub_streams.map(x => x.index) : null,
+        order,
+        flags: Object.fromEntries(Object.entries(flags).filter(([i]) => !audio.some(a => a.index === Number(i) && !a.fallback))),
+        chapters: opts.chapters !== false,
+        attachments: opts.attachments !== false,
+        global_tags: opts.globalTags !== false,
+        title: opts.title || null,
+        ids: null
+    };
+    // ffprobe stream indexes are only mkvmerge's track ids in matroska
+    if (!/matroska/.test(d.format.format_name || "")) {
+        tracks.ids = mkvmerge_ids(d.streams, await mkvmerge_identify(input));
+        const lost = [...policy.copy, ...sub_streams.map(x => x.index)].filter(i => tracks.ids[i] === undefined);
+        if (lost.length > 0) {
+            warning(`mkvmerge can't read source tracks ${lost.join(", ")}, they're left out`);
+        }
+    }
+
+    return {
+        version: 1,
+        input,
+        output,
+        options: opts,
+        fingerprint,
+        probe: d,
+        hdr,
+        pix_fmt: fmt,
+        codec: stream.codec_name,
+        stream: stream.index,
+        ff_args,
+        x265_args,
+        fps,
+        duration,
+        frames,
+        timestamps,
+        trim,
+        length: trim ? trim.length : duration,
+        crop,
+        resize,
+        tonemap,
+        deinterlace: content,
+        dovi,
+        measure,
+        generate,
+        tags: track_tags(stream),
+        audio,
+        tracks,
+        paths,
+        stages: {},
+        audio_done: [],
+        messages
+    };
+}
+
+// option values that can be given more than once, as a list
+function list_option(value) {
+    return value ? [].concat(value) : [];
+}
+
+// what mkvmerge keeps from the source, manifests from before track selection
+// transcoded all audio or none and kept everything else
+function track_layout(plan) {
+    if (plan.tracks) {
+        return plan.tracks;
+    }
+    if (plan.audio_copy !== undefined) {
+        return { audio: plan.audio_copy };
+    }
+    return { audio: plan.audio.length > 0 ? [] : null };
+}
+
+// every command encode() would run for a plan, without running anything
+// commands are arrays with the tool first, piped ones are given as pairs
+export function describe(plan) {
+    const p = plan;
+    const workers = Number(p.options.workers);
+    const inject = inject_commands(p.generate ? { ...p.paths, dv: p.paths.dv_gen } : p.paths);
+    const video = inject.length > 0 ? inject[inject.length - 1].output : p.paths.temp;
+    return {
+        input: p.input,
+        output: p.output,
+        duration: p.duration,
+        fps: p.fps,
+        frames: p.frames,
+        length: p.length,
+        trim: p.trim,
+        crop: p.crop,
+        resize: p.resize,
+        tonemap: p.tonemap,
+        hdr: p.hdr.formats,
+        measure: p.measure ? [FFMPEG, ...measure_args(p.ff_args)] : null,
+        extract: extract_commands(p.paths, p.dovi ? p.dovi.convert : null, p.codec, p.stream ?? null).map(c => ({
+            name: c.name,
+            pipe: c.direct ? [[c.tool, ...c.args]] : [[FFMPEG, ...xtract_args(p.input, p.stream ?? null)], [c.tool, ...c.args]]
+        })),
+        transcode: {
+            pipe: [[FFMPEG, ...p.ff_args], [X265, ...p.x265_args]],
+            workers,
+            chunked: workers > 1 && !isNaN(p.frames)
+        },
+        generate: p.generate ? [DOVI_TOOL, ...generate_command(p.paths, "<config>").args] : null,
+        inject: inject.map(c => [c.tool, ...c.args]),
+        audio: p.audio.map(a => ({
+            index: a.index,
+            codec: a.codec,
+            channels: a.channels,
+            bitrate: a.bitrate,
+            fallback: a.fallback,
+            tags: a.tags,
+            command: [FFMPEG, ...a.args]
+        })),
+        tracks: track_layout(p),
+        merge: [MKVMERGE, ...mkvmerge_args({ ...p.paths, temp: video }, p.tags, p.audio.map(a => a.tags), p.trim, track_layout(p))]
+    };
+}
+
+// a running encode, emits events and is async iterable
+// events: stage, progress, info, warning, error, end
+export class EncodeJob extends EventEmitter {
+    constructor(plan) {
+        super();
+        this.plan = plan;
+        this.ctx = { procs: new Set(), temps: new Set(), cancelled: false };
+        // start on the next tick so listeners can be attached first
+        this.done = new Promise(r => setImmediate(r)).then(() => this.run());
+        this.done.catch(() => {});
+    }
+
+    // emit as a named event and as a generic one for the iterator
+    send(type, data = {}) {
+        if (type !== "error" || this.listenerCount("error") > 0) {
+            this.emit(type, data);
+        }
+        this.emit("event", { type, ...data });
+    }
+
+    async *[Symbol.asyncIterator]() {
+        let queue = [], wake = null, ended = false;
+        const push = e => {
+            queue.push(e);
+            if (wake) {
+                wake();
+            }
+        };
+        this.on("event", push);
+        this.done.catch(() => {}).finally(() => {
+            ended = true;
+            if (wake) {
+                wake();
+            }
+        });
+        try {
+            while (true) {
+                if (queue.length > 0) {
+                    yield queue.shift();
+                    continue;
+                }
+                if (ended) {
+                    break;
+                }
+                await new Promise(r => wake = r);
+                wake = null;
+            }
+        } finally {
+            this.off("event", push);
+        }
+        await this.done;
+    }
+
+    // stop all running processes, the job fails with a CancelledError
+    cancel(signal = "SIGTERM") {
+        kill_context(this.ctx, signal);
+    }
+
+    async run() {
+        // missing tools fail the job before anything is touched, a resume manifest included
+        const missing = await preflight(this.plan).then(() => null, e => e);
+        if (missing) {
+            this.send("error", { error: missing });
+            throw missing;
+        }
+        try {
+            return await job_context.run(this.ctx, () => this.stages());
+        } catch (e) {
+            let error = e instanceof HdrsError ? e : new HdrsError(e instanceof Error ? e.message : String(e));
+            if (this.ctx.cancelled) {
+                error = new CancelledError();
+            }
+            await this.remove_temps();
+            this.send("error", { error });
+            throw error;
+        }
+    }
+
+    // temp files a failed job should delete, unless asked to keep them
+    // a finished transcode is too much work to throw away, so from then on the manifest
+    // and what finished stages made stay for --resume
+    leftovers() {
+        const p = this.plan;
+        if (p.options.keepTemp) {
+            return [];
+        }
+        const files = [p.paths.temp, p.paths.dv, p.paths.dv_gen, p.paths.plus, p.paths.timecodes, ...p.paths.audio_temp, ...this.ctx.temps];
+        const kept = new Set(p.stages.transcode ? stage_files(p) : []);
+        if (!p.stages.transcode) {
+            files.push(manifest_path(p.output));
+        }
+        // a merge that didn't finish leaves a broken output
+        if (this.merging) {
+            files.push(p.output);
+        }
+        return [...new Set(files)].filter(f => f && !kept.has(f));
+    }
+
+    // get rid of everything a failed job left behind
+    async remove_temps() {
+        const p = this.plan;
+        if (p.options.keepTemp) {
+            const left = [];
+            for (const f of new Set([p.paths.temp, p.paths.dv, p.paths.dv_gen, p.paths.plus, p.paths.timecodes, ...p.paths.audio_temp, ...this.ctx.temps])) {
+                if (f && await stat(f).catch(() => null)) {
+                    left.push(f);
+                }
+            }
+            if (left.length > 0) {
+                this.send("warning", { message: `Keeping temp files: ${left.join(", ")}` });
+            }
+            return;
+        }
+        if (p.stages.transcode) {
+            this.send("warning", { message: `Keeping the manifest and finished stages, continue with --resume or delete ${manifest_path(p.output)} to start over` });
+        }
+        for (const f of this.leftovers()) {
+            await rm(f, { force: true }).catch(() => {});
+        }
+    }
+
+    // for when the process has to exit right away and nothing can be awaited anymore
+    remove_temps_sync() {
+        kill_context(this.ctx, "SIGKILL");
+        for (const f of this.leftovers()) {
+            try {
+                rmSync(f, { force: true });
+            } catch (e) {
+                // the process is going away, nothing more can be done about it
+            }
+        }
+    }
+
+    async stages() {
+        const p = this.plan;
+        const paths = p.paths;
+        const v = p.options.verbose;
+        const manifest_file = manifest_path(p.output);
+        const save = () => write_json(manifest_file, { ...p, options: undefined, messages: undefined });
+        const progress = (stage, extra = {}) => data => this.send("progress", { stage, ...extra, ...data });
+        const start = stage => {
+            if (this.ctx.cancelled) {
+                throw new CancelledError();
+            }
+            this.send("stage", { stage, state: "start" });
+        };
+        const finish = async stage => {
+            p.stages[stage] = true;
+            await save();
+            this.send("stage", { stage, state: "end" });
+        };
+
+        await mkdir(dirname(p.output), { recursive: true });
+        await save();
+
+        // measure light levels for --max-cll, the source's own value is replaced
+        if (p.measure && !p.stages.measure) {
+            start("measure");
+            const m = await measure_cll(p.ff_args, p.measure.width, p.measure.height, p.frames, v, progress("measure"));
+            this.send("info", { message: `Measured MaxCLL ${m.max_cll} nits and MaxFALL ${m.max_fall} nits over ${m.frames} frames` });
+            const diff = p.measure.source ? compare_cll(m, p.measure.source) : null;
+            if (diff) {
+                this.send("warning", { message: diff });
+            }
+            const value = `${m.max_cll},${m.max_fall}`;
+            const i = p.x265_args.indexOf("--max-cll");
+            if (i !== -1) {
+                p.x265_args[i + 1] = value;
+            } else {
+                p.x265_args.push("--max-cll", value);
+            }
+            if (p.generate) {
+                p.generate.level6 = generate_level6(p.x265_args);
+            }
+            p.measure.result = m;
+            await finish("measure");
+        }
+
+        // extract dynamic hdr metadata
+        if (!p.stages.extract) {
+            start("extract");
+            if (p.timestamps) {
+                await write_timecodes(paths.timecodes, p.timestamps);
+            }
+            const warnings = await pre_hdr(paths, v, { convert: p.dovi ? p.dovi.convert : null, codec: p.codec, stream: p.stream ?? null, trim: p.trim, crop: p.crop, resize: p.resize });
+            for (const message of warnings) {
+                this.send("warning", { message });
+            }
+            // p.frames is only an estimate, so this just warns and the real check waits for the transcode
+            if (p.options.hdrMismatch !== "pad" && !isNaN(p.frames)) {
+                for (const [name, count] of Object.entries(await metadata_counts(paths, v))) {
+                    if (count !== p.frames) {
+                        this.send("warning", { message: `${name} metadata has ${count} frames but about ${p.frames} are expected, --hdr-mismatch pad pads or cuts it at the end` });
+                    }
+                }
+            }
+            await finish("extract");
+        }
+
+        // do the actual transcoding, chunked over several workers if requested
+        if (!p.stages.transcode) {
+            start("transcode");
+            const workers = Number(p.options.workers);
+            if (workers > 1 && isNaN(p.frames)) {
+                this.send("warning", { message: "Unknown frame count, can't split into chunks" });
+            }
+            if (workers > 1 && !isNaN(p.frames)) {
+                const min_len = Math.max(1, Math.round(Number(p.options.minChunk) * p.fps));
+                this.send("info", { message: "Detecting scene cuts for chunked encoding" });
+                const ts = p.timestamps;
+                const frame_of = ts ? t => frame_at(ts, t * 1000 - 0.5) : t => Math.round(t * p.fps);
+                const scenes = await detect_scenes(p.ff_args, p.options.sceneThreshold, p.length, frame_of, v, progress("scenes"));
+                if (scenes.failed) {
+                    throw tool_error("Scene detection failed", scenes.failed);
+                }
+                const cuts = scenes.cuts;
+                if (cuts.length < 1) {
+                    this.send("warning", { message: "No scene cuts found, splitting at fixed intervals" });
+                    for (let n = min_len; n < p.frames; n += min_len) {
+                        cuts.push(n);
+                    }
+                }
+                const chunks = plan_chunks(cuts, p.frames, min_len);
+                this.send("info", { message: `Transcoding ${chunks.length} chunks with ${workers} workers` });
+                const offset = p.trim ? p.trim.start_time : 0;
+                const seek_of = ts ? n => offset + (time_of(ts, n - 1) + ts[n]) / 2000 : n => offset + (n - 0.5) / p.fps;
+                const exact_end = !!p.trim && p.trim.end !== null;
+                p.encoded = await transcode_chunks(p.ff_args, p.x265_args, chunks, p.frames, seek_of, workers, exact_end, v, progress("transcode"));
+            } else {
+                const r = await transcode(p.ff_args, p.x265_args, p.frames, v, progress("transcode"));
+                if (r.failed) {
+                    throw tool_error("Transcode failed", r.failed);
+                }
+                p.encoded = r.encoded;
+            }
+            await finish("transcode");
+        }
+
+        // reinject hdr metadata
+        if (!p.stages.inject) {
+            start("inject");
+            if (typeof p.encoded === "number") {
+                for (const message of await check_counts(paths, p.encoded, p.options.hdrMismatch, v)) {
+                    this.send("warning", { message });
+                }
+            }
+            if (p.generate) {
+                this.send("info", { message: "Generating Dolby Vision metadata" });
+                await generate_rpu(paths, p.generate.level6, p.encoded ?? p.frames, v);
+                paths.dv = paths.dv_gen;
+            }
+            paths.temp = await post_hdr(paths, v);
+            paths.dv = null;
+            paths.dv_gen = null;
+            paths.plus = null;
+            await finish("inject");
+        }
+
+        // audio tracks, each one is saved so a resume can skip it
+        if (!p.stages.audio) {
+            start("audio");
+            for (const [i, a] of p.audio.entries()) {
+                if (p.audio_done.includes(i)) {
+                    continue;
+                }
+                this.send("info", { message: `Transcoding audio stream ${a.index} to ${a.codec || "opus"}` });
+                const failed = await audio_transcode(a.args, a.duration, v, progress("audio", { track: i, index: a.index }));
+                if (failed) {
+                    throw tool_error("Audio transcode failed", failed);
+                }
+                p.audio_done.push(i);
+                await save();
+            }
+            await finish("audio");
+        }
+
+        // merge file back together
+        if (!p.stages.merge) {
+            start("merge");
+            this.merging = true;
+            await mkvmerge(paths, p.tags, p.audio.map(a => a.tags), p.trim, track_layout(p), v, progress("merge"));
+            this.merging = false;
+            await finish("merge");
+        }
+
+        const st = await stat(p.output);
+        const result = {
+            output: p.output,
+            size: st.size,
+            duration: p.length
+        };
+
+        // cleanup
+        start("cleanup");
+        await rm(paths.temp);
+        if (paths.timecodes) {
+            await rm(paths.timecodes);
+        }
+        for (const temp_file of paths.audio_temp) {
+            await rm(temp_file);
+        }
+        await rm(manifest_file);
+        this.send("stage", { stage: "cleanup", state: "end" });
+
+        this.send("end", result);
+        return result;
+    }
+}
+
+// start encoding a plan
+export function encode(plan) {
+    return new EncodeJob(plan);
+}
@@ -0,0 +1,216 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { rename } from "node:fs/promises";
+import { MKVMERGE } from "./tools.js";
+import { mkv_timestamp } from "./util.js";
+import { spawn_tool, supervise, tool_error, track_temp } from "./proc.js";
+
+// splitting always numbers the files, a trimmed merge writes its only part here first
+function split_part(output, n = "%d") {
+    return `${output}.part${n}`;
+}
+
+// mkvmerge tags and flags from a streams tags and disposition
+export function track_tags(stream) {
+    const tags = {
+        language: "eng",
+        default: 0,
+        forced: 0,
+        hearing_impaired: 0,
+        visual_impaired: 0,
+        text_descriptions: 0,
+        original: 0,
+        commentary: 0
+    };
+    if (stream.tags) {
+        for (const [k, v] of Object.entries(stream.tags)) {
+            if (k.toLowerCase() === "language") {
+                tags.language = v;
+            }
+        }
+    }
+    if (stream.disposition) {
+        tags.default = stream.disposition.default;
+        tags.forced = stream.disposition.forced;
+        tags.hearing_impaired = stream.disposition.hearing_impaired;
+        tags.visual_impaired = stream.disposition.visual_impaired;
+        tags.text_descriptions = stream.disposition.descriptions;
+        tags.original = stream.disposition.original;
+        tags.commentary = stream.disposition.comment;
+    }
+    return tags;
+}
+
+// mkvmerge's view of a file's tracks
+export function mkvmerge_identify(file) {
+    return new Promise((res, rej) => {
+        const bufs = [];
+        const proc = spawn_tool(MKVMERGE, ["-J", file], ["ignore", "pipe", "pipe"]);
+        proc.stdout.on("data", d => bufs.push(d));
+        supervise([proc]).then(failed => {
+            if (failed) {
+                return rej(tool_error("Reading tracks with mkvmerge failed", failed));
+            }
+            res(JSON.parse(Buffer.concat(bufs).toString()));
+        });
+    });
+}
+
+// mkvmerge track ids of ffprobe streams, for sources that aren't matroska
+// tracks are matched by their container id, mp4 track ids and ts pids, or else by order within a type
+const MKVMERGE_TYPES = { video: "video", audio: "audio", subtitle: "subtitles" };
+export function mkvmerge_ids(streams, identified) {
+    const ids = {};
+    const left = [...(identified.tracks || [])];
+    for (const s of streams.filter(x => MKVMERGE_TYPES[x.codec_type])) {
+        const of_type = left.filter(t => t.type === MKVMERGE_TYPES[s.codec_type]);
+        const track = of_type.find(t => s.id !== undefined && t.properties && t.properties.number === Number(s.id)) || of_type[0];
+        if (track) {
+            ids[s.index] = track.id;
+            left.splice(left.indexOf(track), 1);
+        }
+    }
+    return ids;
+}
+
+// mkvmerge arguments for merging the new video with the rest of the source
+// trimmed encodes start at zero, so the new tracks are delayed to the trim start
+// and the output is cut from there, taking source tracks and chapters along
+// tracks says which source tracks are kept, in what order and with which flags
+// audio and subtitles are lists of ffprobe stream indexes, null keeps them all
+// ids maps them to mkvmerge track ids, without it they're the same like in matroska
+export function mkvmerge_args(paths, extra_tags, aud_tags, trim = null, tracks = {}) {
+    const t = { audio: null, subtitles: null, order: null, flags: {}, chapters: true, attachments: true, global_tags: true, title: null, ids: null, ...tracks };
+    const id = i => t.ids ? t.ids[i] : i;
+    const ids_of = list => list.map(id).filter(i => i !== undefined);
+    const sync = [], split = [];
+    if (trim) {
+        const start = Math.round(trim.start_time * 1000);
+        const end = trim.end !== null ? mkv_timestamp(start + Math.round(trim.length * 1000)) : "";
+        if (start > 0) {
+            sync.push("--sync", `0:${start}`);
+        }
+        split.push("--split", `parts:${mkv_timestamp(start)}-${end}`);
+    }
+    let mkv_args = [
+        "-o", trim ? split_part(paths.output) : paths.output,
+        ...(t.title ? ["--title", t.title] : []),
+        ...split,
+        ...sync,
+        "--language", `0:${extra_tags.language}`,
+        "--default-track-flag", `0:${extra_tags.default}`,
+        "--forced-display-flag", `0:${extra_tags.forced}`,
+        "--hearing-impaired-flag", `0:${extra_tags.hearing_impaired}`,
+        "--visual-impaired-flag", `0:${extra_tags.visual_impaired}`,
+        "--text-descriptions-flag", `0:${extra_tags.text_descriptions}`,
+        "--original-flag", `0:${extra_tags.original}`,
+        "--commentary-flag", `0:${extra_tags.commentary}`,
+        ...(paths.timecodes ? ["--timestamps", `0:${paths.timecodes}`] : []),
+        paths.temp
+    ];
+    if (aud_tags.length > 0) {
+        for (let i = 0; i < aud_tags.length; i++) {
+            mkv_args.push(
+                "--language", `0:${aud_tags[i].language}`,
+                "--default-track-flag", `0:${aud_tags[i].default}`,
+                "--forced-display-flag", `0:${aud_tags[i].forced}`,
+                "--hearing-impaired-flag", `0:${aud_tags[i].hearing_impaired}`,
+                "--visual-impaired-flag", `0:${aud_tags[i].visual_impaired}`,
+                "--text-descriptions-flag", `0:${aud_tags[i].text_descriptions}`,
+                "--original-flag", `0:${aud_tags[i].original}`,
+                "--commentary-flag", `0:${aud_tags[i].commentary}`,
+                ...sync,
+                paths.audio_temp[i]
+            );
+        }
+    }
+    for (const [index, f] of Object.entries(t.flags)) {
+        const track = id(index);
+        if (track === undefined) {
+            continue;
+        }
+        if (f.default !== undefined) {
+            mkv_args.push("--default-track-flag", `${track}:${f.default}`);
+        }
+        if (f.forced !== undefined) {
+            mkv_args.push("--forced-display-flag", `${track}:${f.forced}`);
+        }
+    }
+    if (t.audio) {
+        const audio = ids_of(t.audio);
+        mkv_args.push(...(audio.length > 0 ? ["--audio-tracks", audio.join(",")] : ["--no-audio"]));
+    }
+    if (t.subtitles) {
+        const subtitles = ids_of(t.subtitles);
+        mkv_args.push(...(subtitles.length > 0 ? ["--subtitle-tracks", subtitles.join(",")] : ["--no-subtitles"]));
+    }
+    if (!t.chapters) {
+        mkv_args.push("--no-chapters");
+    }
+    if (!t.attachments) {
+        mkv_args.push("--no-attachments");
+    }
+    if (!t.global_tags) {
+        mkv_args.push("--no-global-tags");
+    }
+    mkv_args.push(
+        "--no-video",
+        paths.input
+    );
+
+    // files are numbered in order, the video, the audio temps and then the source
+    // mkvmerge goes through them like that anyway, so that order isn't given
+    if (t.order) {
+        const source = aud_tags.length + 1;
+        const order = t.order.filter(x => x.temp !== undefined || id(x.source) !== undefined);
+        const ids = order.map(x => x.temp !== undefined ? `${x.temp + 1}:0` : `${source}:${id(x.source)}`);
+        const sources = ids_of(order.filter(x => x.temp === undefined).map(x => x.source));
+        const plain = [
+            ...aud_tags.map((_, i) => `${i + 1}:0`),
+            ...[...sources].sort((a, b) => a - b).map(id => `${source}:${id}`)
+        ];
+        if (ids.join(",") !== plain.join(",")) {
+            mkv_args.push("--track-order", ["0:0", ...ids].join(","));
+        }
+    }
+    return mkv_args;
+}
+
+// final mkv merge of old and new file
+export function mkvmerge(paths, extra_tags, aud_tags, trim, tracks, v, on_progress) {
+    return new Promise((res, rej) => {
+        const mkv_args = mkvmerge_args(paths, extra_tags, aud_tags, trim, tracks);
+        const part = trim ? track_temp(split_part(paths.output, 1)) : null;
+        const stdio = v ? ["ignore", "inherit", "pipe"] : ["ignore", "pipe", "pipe"];
+        const proc = spawn_tool(MKVMERGE, mkv_args, stdio, v);
+        if (proc.stdout) {
+            proc.stdout.on("data", l => {
+                const str = l.toString();
+                if (str.includes("%") && str.split(":").length == 2) {
+                    on_progress({ percent: parseInt(str.split(":")[1], 10) });
+                } else {
+                    // mkvmerge writes its errors to stdout
+                    proc.tail += str;
+                }
+            });
+        }
+        supervise([proc]).then(failed => {
+            if (failed) {
+                return rej(tool_error("Merging failed", failed));
+            }
+            res(part ? rename(part, paths.output) : undefined);
+        });
+    });
+}
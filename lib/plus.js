@@ -0,0 +1,141 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { FFPROBE } from "./tools.js";
+import { write_json } from "./util.js";
+import { spawn_tool, supervise, tool_error } from "./proc.js";
+import { InputError } from "./errors.js";
+
+const PLUS_TYPE = "HDR Dynamic Metadata SMPTE2094-40 (HDR10+)";
+
+// ffprobe args printing every frame's side data of a video stream, the first one without an index
+// the default writer keeps repeated keys like maxscl, json would only keep the last one
+export function plus_args(input, index = null) {
+    return [
+        "-hide_banner",
+        "-v", "error",
+        "-select_streams", index === null ? "v:0" : String(index),
+        "-show_frames",
+        "-i", input
+    ];
+}
+
+// a rational from ffprobe in the units hdr10plus_tool uses
+function q(value, den) {
+    if (value === undefined) {
+        return 0;
+    }
+    const [a, b = "1"] = value.split("/");
+    return Math.round(Number(a) / Number(b) * den);
+}
+
+// hdr10plus_tool frame from the key=value lines of one side data block, first window only
+function plus_frame(entries) {
+    const get = k => entries.filter(([key]) => key === k).map(([, v]) => v);
+    const frame = {
+        LuminanceParameters: {
+            AverageRGB: q(get("average_maxrgb")[0], 100000),
+            LuminanceDistributions: {
+                DistributionIndex: get("distribution_maxrgb_percentage").map(Number),
+                DistributionValues: get("distribution_maxrgb_percentile").map(v => q(v, 100000))
+            },
+            MaxScl: get("maxscl").slice(0, 3).map(v => q(v, 100000))
+        },
+        NumberOfWindows: 1,
+        TargetedSystemDisplayMaximumLuminance: q(get("targeted_system_display_maximum_luminance")[0], 1)
+    };
+    if (get("knee_point_x").length > 0) {
+        frame.BezierCurveData = {
+            Anchors: get("bezier_curve_anchors").map(v => q(v, 1023)),
+            KneePointX: q(get("knee_point_x")[0], 4095),
+            KneePointY: q(get("knee_point_y")[0], 4095)
+        };
+    }
+    return frame;
+}
+
+// build hdr10plus_tool json from the hdr10+ side data ffmpeg exports for any codec, av1 has it in t.35 obus
+// frames without any get their neighbour's so there's still one entry per frame
+// a new scene starts wherever the metadata changes, resolves with how many frames were filled in
+export function extract_plus(input, index, output, v) {
+    return new Promise((res, rej) => {
+        const frames = [];
+        let rest = "", frame = null, side = null;
+        const parse = line => {
+            if (line === "[FRAME]") {
+                frame = { plus: null };
+            } else if (line === "[/FRAME]" && frame) {
+                frames.push(frame.plus);
+                frame = null;
+            } else if (line === "[SIDE_DATA]") {
+                side = [];
+            } else if (line === "[/SIDE_DATA]" && side) {
+                if (frame && side.some(([k, v]) => k === "side_data_type" && v === PLUS_TYPE)) {
+                    frame.plus = plus_frame(side);
+                }
+                side = null;
+            } else if (side) {
+                const i = line.indexOf("=");
+                if (i !== -1) {
+                    side.push([line.slice(0, i), line.slice(i + 1)]);
+                }
+            }
+        };
+        const proc = spawn_tool(FFPROBE, plus_args(input, index), ["ignore", "pipe", "pipe"], v);
+        proc.stdout.on("data", d => {
+            const lines = (rest + d.toString()).split(/\r?\n/);
+            rest = lines.pop();
+            lines.forEach(parse);
+        });
+        supervise([proc]).then(async failed => {
+            if (failed) {
+                return rej(tool_error("Extracting HDR10+ failed", failed));
+            }
+            parse(rest.trim());
+            let last = frames.find(f => f);
+            if (!last) {
+                return rej(new InputError("No HDR10+ metadata found in any frame"));
+            }
+            let filled = 0, scene = 0, prev = null;
+            const info = frames.map((f, i) => {
+                if (!f) {
+                    filled++;
+                }
+                last = f || last;
+                const key = JSON.stringify(last);
+                if (prev !== null && key !== prev) {
+                    scene++;
+                }
+                prev = key;
+                return { ...JSON.parse(key), SceneFrameIndex: 0, SceneId: scene, SequenceFrameIndex: i };
+            });
+            const first = [], lengths = [];
+            for (const [i, f] of info.entries()) {
+                first[f.SceneId] = first[f.SceneId] ?? i;
+                lengths[f.SceneId] = (lengths[f.SceneId] || 0) + 1;
+                f.SceneFrameIndex = lengths[f.SceneId] - 1;
+            }
+            await write_json(output, {
+                JSONInfo: { HDR10plusProfile: info.some(f => f.BezierCurveData) ? "B" : "A", Version: "1.0" },
+                SceneInfo: info,
+                SceneInfoSummary: {
+                    SceneFirstFrameIndex: first,
+                    SceneFrameNumbers: lengths
+                },
+                ToolInfo: { Tool: "hdr-sucks" }
+            });
+            res(filled);
+        }).catch(rej);
+    });
+}
@@ -0,0 +1,180 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { DOVI_TOOL, FFMPEG, FFPROBE, HDR10PLUS_TOOL, MKVMERGE, X265 } from "./tools.js";
+import { spawn_tool, stop } from "./proc.js";
+import { PreflightError } from "./errors.js";
+
+// how long a version query may take
+const QUERY_TIMEOUT = 10000;
+
+// the --hearing-impaired-flag family of track flags came with this mkvmerge
+const MKVMERGE_MIN = "57.0.0";
+
+// every tool hdr-sucks can use, how to ask for its version and when it's needed
+const TOOLS = {
+    ffprobe: { path: FFPROBE, env: "FFPROBE_PATH", args: ["-hide_banner", "-version"], version: /version\s+n?([^\s,]+)/ },
+    ffmpeg: { path: FFMPEG, env: "FFMPEG_PATH", args: ["-hide_banner", "-version"], version: /version\s+n?([^\s,]+)/ },
+    x265: { path: X265, env: "X265_PATH", args: ["--version"], version: /encoder version\s+(\S+)/ },
+    mkvmerge: { path: MKVMERGE, env: "MKVMERGE_PATH", args: ["--version"], version: /mkvmerge\s+v(\S+)/ },
+    dovi_tool: { path: DOVI_TOOL, env: "DOVI_PATH", args: ["--version"], version: /dovi_tool\s+v?(\S+)/, only: "Dolby Vision sources" },
+    hdr10plus_tool: { path: HDR10PLUS_TOOL, env: "HDR10PLUS_PATH", args: ["--version"], version: /hdr10plus_tool\s+v?(\S+)/, only: "HDR10+ sources" }
+};
+export const TOOL_NAMES = Object.keys(TOOLS);
+
+// tools are only looked at once per process
+const found = new Map();
+
+// run a tool and grab everything it prints, exit codes don't matter here
+function query(cmd, args) {
+    return new Promise(res => {
+        let out = "";
+        const proc = spawn_tool(cmd, args, ["ignore", "pipe", "pipe"]);
+        proc.stdout.on("data", d => out += d.toString());
+        proc.stderr.on("data", d => out += d.toString());
+        const timer = setTimeout(() => stop(proc), QUERY_TIMEOUT);
+        proc.exited.then(r => {
+            clearTimeout(timer);
+            res({ ...r, out });
+        });
+    });
+}
+
+// compare dotted versions, anything unparsable passes
+function at_least(version, min) {
+    const a = String(version).match(/\d+/g);
+    if (!a) {
+        return true;
+    }
+    const b = min.split(".").map(Number);
+    for (let i = 0; i < b.length; i++) {
+        const n = Number(a[i] || 0);
+        if (n !== b[i]) {
+            return n > b[i];
+        }
+    }
+    return true;
+}
+
+async function inspect(name) {
+    const t = TOOLS[name];
+    const tool = { name, path: t.path, env: t.env, found: false, version: null };
+    const r = await query(t.path, t.args);
+    if (r.error) {
+        tool.error = r.error.code || r.error.message;
+        return tool;
+    }
+    tool.found = true;
+    const m = r.out.match(t.version);
+    tool.version = m ? m[1] : null;
+
+    // "build info [Linux][GCC 11.2.0][64 bit] 8bit+10bit+12bit"
+    if (name === "x265") {
+        tool.depths = [...new Set([...r.out.matchAll(/\b(8|10|12)bit\b/g)].map(m => Number(m[1])))];
+    }
+    if (name === "ffmpeg") {
+        const e = await query(t.path, ["-hide_banner", "-encoders"]);
+        tool.encoders = [...e.out.matchAll(/^\s*[VAS][A-Z.]{5}\s+(\S+)/gm)].map(m => m[1]);
+        const f = await query(t.path, ["-hide_banner", "-filters"]);
+        tool.filters = [...f.out.matchAll(/^\s*[A-Z.]{2,3}\s+(\w+)\s+\S+->\S+/gm)].map(m => m[1]);
+    }
+    return tool;
+}
+
+// find a tool and figure out its version and capabilities
+// { name, path, env, found, version, error?, depths?, encoders?, filters? }
+export function find_tool(name) {
+    if (!found.has(name)) {
+        found.set(name, inspect(name));
+    }
+    return found.get(name);
+}
+
+// what's wrong with a tool for a job with these needs
+function problems_of(tool, needs) {
+    if (!tool.found) {
+        return [`${tool.name} not found at "${tool.path}" (${tool.error}), install it or set ${tool.env} to its path`];
+    }
+    const out = [];
+    if (tool.name === "x265" && needs.depth > 8 && tool.depths.length > 0 && !tool.depths.includes(needs.depth)) {
+        out.push(`x265 at "${tool.path}" can't encode ${needs.depth} bit (built for ${tool.depths.join("+")} bit), use a high bit depth or multilib build`);
+    }
+    if (tool.name === "ffmpeg" && needs.opus && !tool.encoders.includes("libopus")) {
+        out.push(`ffmpeg at "${tool.path}" has no libopus encoder, use a build with --enable-libopus or encode audio to another codec`);
+    }
+    if (tool.name === "mkvmerge" && tool.version && !at_least(tool.version, MKVMERGE_MIN)) {
+        out.push(`mkvmerge ${tool.version} is too old for the track flags, MKVToolNix ${MKVMERGE_MIN} or newer is needed`);
+    }
+    return out;
+}
+
+// tools every job needs, checked before a source is even probed
+export const BASE_TOOLS = ["ffprobe", "ffmpeg", "x265", "mkvmerge"];
+
+// tools and capabilities a planned job needs
+// metadata tools only when there's metadata left to extract or inject
+export function needs_of(plan) {
+    const depth = plan.x265_args.indexOf("--output-depth");
+    return {
+        tools: [
+            ...BASE_TOOLS,
+            ...(plan.paths.dv || plan.paths.dv_gen ? ["dovi_tool"] : []),
+            ...(plan.paths.plus ? ["hdr10plus_tool"] : [])
+        ],
+        depth: depth === -1 ? 8 : Number(plan.x265_args[depth + 1]),
+        opus: plan.audio.some(a => (a.codec || "opus") === "opus")
+    };
+}
+
+// list every problem with the tools a job needs
+export async function check_tools(needs) {
+    const problems = [];
+    for (const name of needs.tools) {
+        problems.push(...problems_of(await find_tool(name), needs));
+    }
+    return problems;
+}
+
+// fail on missing tools while planning, before the slow look at the source
+// capabilities that depend on the plan are left to preflight
+export async function require_tools(tools) {
+    const problems = await check_tools({ tools, depth: 8, opus: false });
+    if (problems.length > 0) {
+        throw new PreflightError(problems);
+    }
+}
+
+// make sure a planned job can run before any work starts
+export async function preflight(plan) {
+    const problems = await check_tools(needs_of(plan));
+    if (problems.length > 0) {
+        throw new PreflightError(problems);
+    }
+}
+
+// look at every tool, for the doctor command
+// optional tools that are missing are reported but aren't problems
+export async function doctor() {
+    const report = [];
+    for (const name of TOOL_NAMES) {
+        const tool = await find_tool(name);
+        const problems = problems_of(tool, { depth: 10, opus: true });
+        report.push({
+            ...tool,
+            needed_for: TOOLS[name].only || null,
+            problems: TOOLS[name].only && !tool.found ? [] : problems
+        });
+    }
+    return report;
+}
@@ -0,0 +1,115 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { FFPROBE } from "./tools.js";
+import { spawn_tool, supervise, tail_of } from "./proc.js";
+import { ProbeError } from "./errors.js";
+
+// ffprobe json output, anything cut off or garbled is a ProbeError
+function parse_json(bufs, proc) {
+    try {
+        return JSON.parse(Buffer.concat(bufs).toString());
+    } catch (e) {
+        const tail = tail_of(proc);
+        throw new ProbeError(`Could not parse ffprobe output: ${e.message}${tail ? `, "${tail}"` : ""}`, tail);
+    }
+}
+
+// run ffprobe and grab info about file
+export function run_ffprobe(file) {
+    return new Promise((res, rej) => {
+        let bufsOut = [];
+        const args = [
+            "-i", file,
+            "-hide_banner",
+            "-of", "json",
+            "-show_format",
+            "-show_streams",
+            "-show_frames",
+            "-read_intervals", "%+#1"
+        ];
+        const proc = spawn_tool(FFPROBE, args, ["ignore", "pipe", "pipe"]);
+        proc.stdout.on("data", d => bufsOut.push(d));
+        supervise([proc]).then(failed => {
+            if (failed) {
+                return res({ _e: failed.tail || failed.message });
+            }
+            try {
+                res(parse_json(bufsOut, proc));
+            } catch (e) {
+                rej(e);
+            }
+        });
+    });
+}
+
+// first frame of one stream, for when the general probe only got other streams' frames
+export function probe_frame(file, index) {
+    return new Promise((res, rej) => {
+        let bufsOut = [];
+        const args = [
+            "-i", file,
+            "-hide_banner",
+            "-of", "json",
+            "-select_streams", String(index),
+            "-show_frames",
+            "-read_intervals", "%+#1"
+        ];
+        const proc = spawn_tool(FFPROBE, args, ["ignore", "pipe", "pipe"]);
+        proc.stdout.on("data", d => bufsOut.push(d));
+        supervise([proc]).then(failed => {
+            if (failed) {
+                return res(undefined);
+            }
+            try {
+                res((parse_json(bufsOut, proc).frames || [])[0]);
+            } catch (e) {
+                rej(e);
+            }
+        });
+    });
+}
+
+// cover art and thumbnails are video streams too, but not ones to encode
+const STILL_CODECS = ["mjpeg", "png", "bmp", "gif", "webp"];
+export function is_cover(stream) {
+    const d = stream.disposition || {};
+    return d.attached_pic === 1 || d.timed_thumbnails === 1 ||
+        (STILL_CODECS.includes(stream.codec_name) && Number(stream.nb_frames) <= 1);
+}
+
+// quick side_data finder for stream or frame
+export function find(side_data, type) {
+    if (side_data && side_data.length > 0) {
+        return side_data.find(a => a.side_data_type === type);
+    }
+    return undefined;
+}
+
+// get duration from ffprobe data
+export function get_duration(stream, format) {
+    if (stream.duration) {
+        return Number(stream.duration);
+    }
+    if (stream.tags) {
+        for (const [k, v] of Object.entries(stream.tags)) {
+            if (k.toLowerCase().startsWith("duration")) {
+                return Date.parse(`1970-01-01T${v}Z`) / 1000;
+            } else if (format.duration) {
+                return Number(format.duration);
+            }
+        }
+    }
+    return NaN;
+}
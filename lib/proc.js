@@ -0,0 +1,174 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { spawn } from "node:child_process";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { basename } from "node:path";
+import { ToolError } from "./errors.js";
+
+// bytes of stderr kept per process for error messages
+const TAIL_SIZE = 8192;
+
+// how long a process gets to exit before it's killed for real
+const KILL_TIMEOUT = 5000;
+
+// every child still running, so signals can be forwarded
+const running = new Set();
+
+// per job context, tracks its processes and temp files
+// { procs: Set, temps: Set, cancelled: bool }
+export const job_context = new AsyncLocalStorage();
+
+// remember a temp file so the job can clean it up when it fails
+export function track_temp(path) {
+    const ctx = job_context.getStore();
+    if (ctx) {
+        ctx.temps.add(path);
+    }
+    return path;
+}
+
+// kill a process, and really kill it if it doesn't listen
+export function stop(proc, signal = "SIGTERM") {
+    if (proc.exitCode !== null || proc.signalCode !== null) {
+        return;
+    }
+    proc.stopped = true;
+    proc.kill(signal);
+    setTimeout(() => {
+        if (proc.exitCode === null && proc.signalCode === null) {
+            proc.kill("SIGKILL");
+        }
+    }, KILL_TIMEOUT).unref();
+}
+
+// forward a signal to every running child
+export function kill_all(signal = "SIGTERM") {
+    for (const proc of running) {
+        stop(proc, signal);
+    }
+}
+
+// kill the processes of a job context
+export function kill_context(ctx, signal = "SIGTERM") {
+    ctx.cancelled = true;
+    for (const proc of ctx.procs) {
+        stop(proc, signal);
+    }
+}
+
+// spawn a tool and keep track of it
+// piped stderr is kept as a tail for error messages, and forwarded when verbose
+export function spawn_tool(cmd, args, stdio, v = false) {
+    const proc = spawn(cmd, args, { stdio });
+    const ctx = job_context.getStore();
+    proc.tool = cmd;
+    proc.tail = "";
+    running.add(proc);
+    if (ctx) {
+        ctx.procs.add(proc);
+        if (ctx.cancelled) {
+            stop(proc);
+        }
+    }
+
+    // broken pipes are reported through the exit code of whoever broke them
+    if (proc.stdin) {
+        proc.stdin.on("error", () => {});
+    }
+    if (proc.stdout) {
+        proc.stdout.on("error", () => {});
+    }
+    if (proc.stderr) {
+        proc.stderr.on("data", d => {
+            proc.tail = (proc.tail + d.toString()).slice(-TAIL_SIZE);
+            if (v) {
+                process.stderr.write(d);
+            }
+        });
+    }
+
+    proc.exited = new Promise(res => {
+        let done = false;
+        const finish = r => {
+            if (done) {
+                return;
+            }
+            done = true;
+            running.delete(proc);
+            if (ctx) {
+                ctx.procs.delete(proc);
+            }
+            res(r);
+        };
+        proc.on("error", error => finish({ code: null, signal: null, error }));
+        proc.on("close", (code, signal) => finish({ code, signal, error: null }));
+    });
+    return proc;
+}
+
+// last few lines of stderr, without ffmpeg progress lines
+export function tail_of(proc, lines = 10) {
+    return proc.tail
+        .replace(/\r/g, "\n")
+        .split("\n")
+        .map(l => l.trim())
+        .filter(l => l.length > 0 && !/^(frame|size)=/.test(l))
+        .slice(-lines)
+        .join("\n");
+}
+
+// wait for a group of processes working on the same thing
+// the first one to fail takes the others down with it, returns that failure or null
+export async function supervise(procs) {
+    let failed = null;
+    await Promise.all(procs.map(async proc => {
+        const r = await proc.exited;
+        if (failed || (!r.error && r.code === 0)) {
+            return;
+        }
+        const name = basename(proc.tool);
+        let message;
+        if (r.error) {
+            message = `${name} could not be started (${r.error.code || r.error.message})`;
+        } else if (r.signal) {
+            message = `${name} was killed by ${r.signal}`;
+        } else {
+            message = `${name} exited with code ${r.code}`;
+        }
+        const tail = tail_of(proc);
+        failed = {
+            tool: proc.tool,
+            code: r.code,
+            signal: r.signal,
+            tail,
+            message: tail ? `${message}: "${tail}"` : message
+        };
+        for (const other of procs) {
+            if (other !== proc) {
+                stop(other);
+            }
+        }
+    }));
+    return failed;
+}
+
+// turn a supervise() failure into a typed error
+export function tool_error(what, failed) {
+    return new ToolError(`${what}, ${failed.message}`, {
+        tool: failed.tool,
+        exitCode: failed.code,
+        stderr: failed.tail
+    });
+}
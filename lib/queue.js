@@ -0,0 +1,184 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { readdir, readFile, stat } from "node:fs/promises";
+import { basename, dirname, join, extname, relative, resolve, sep } from "node:path";
+import { write_json, OUTPUT_SUFFIX, TEMP_BASE } from "./util.js";
+import { InputError } from "./errors.js";
+
+// extensions picked up when walking directories or globs
+const MEDIA_EXTENSIONS = [".mkv", ".mp4", ".m4v", ".mov", ".m2ts", ".mts", ".ts", ".webm", ".avi", ".hevc", ".h265", ".264", ".h264"];
+
+// turn a glob pattern into a regex, supports * ** ? [] and {a,b}
+function glob_to_regex(pattern) {
+    let out = "";
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        if (c === "*") {
+            if (pattern[i + 1] === "*") {
+                i++;
+                if (pattern[i + 1] === "/") {
+                    i++;
+                    out += "(?:.*/)?";
+                } else {
+                    out += ".*";
+                }
+            } else {
+                out += "[^/]*";
+            }
+        } else if (c === "?") {
+            out += "[^/]";
+        } else if (c === "[") {
+            const end = pattern.indexOf("]", i);
+            if (end === -1) {
+                out += "\\[";
+                continue;
+            }
+            out += "[" + pattern.slice(i + 1, end).replace(/^!/, "^") + "]";
+            i = end;
+        } else if (c === "{") {
+            const end = pattern.indexOf("}", i);
+            if (end === -1) {
+                out += "\\{";
+                continue;
+            }
+            const alts = pattern.slice(i + 1, end).split(",");
+            out += "(?:" + alts.map(a => a.replace(/[.+^$()|\\]/g, "\\$&")).join("|") + ")";
+            i = end;
+        } else {
+            out += c.replace(/[.+^$()|\\]/g, "\\$&");
+        }
+    }
+    return new RegExp(`^${out}$`);
+}
+
+// recursively list all files in a directory, depth 1 only looks at its own files
+async function walk_dir(dir, depth = Infinity) {
+    const out = [];
+    for (const e of await readdir(dir, { withFileTypes: true })) {
+        const p = join(dir, e.name);
+        if (e.isDirectory()) {
+            if (depth > 1) {
+                out.push(...await walk_dir(p, depth - 1));
+            }
+        } else if (e.isFile()) {
+            out.push(p);
+        }
+    }
+    return out;
+}
+
+// files picked up from directories or globs, skip our own outputs and temps
+function is_media_file(p) {
+    const name = basename(p);
+    if (name.startsWith(TEMP_BASE) || name.endsWith(OUTPUT_SUFFIX)) {
+        return false;
+    }
+    return MEDIA_EXTENSIONS.includes(extname(name).toLowerCase());
+}
+
+// expand input arguments into a list of { input, base } jobs
+// base is the directory outputs should mirror the structure from
+export async function collect_inputs(list) {
+    const out = new Map();
+    for (const arg of list) {
+        const full = resolve(arg);
+        const st = await stat(full).catch(() => null);
+        if (st && st.isFile()) {
+            out.set(full, { input: full, base: null });
+            continue;
+        }
+        if (st && st.isDirectory()) {
+            for (const f of await walk_dir(full)) {
+                if (is_media_file(f) && !out.has(f)) {
+                    out.set(f, { input: f, base: full });
+                }
+            }
+            continue;
+        }
+        if (!/[*?[{]/.test(arg)) {
+            throw new InputError(`Input not found: ${arg}`);
+        }
+
+        // glob, walk from the last static directory and match the rest
+        // only as deep as the pattern goes, unless ** can match any depth
+        const pattern = full.split(sep).join("/");
+        const magic = pattern.search(/[*?[{]/);
+        const root = pattern.slice(0, pattern.lastIndexOf("/", magic) + 1) || "/";
+        const rest = pattern.slice(root.length);
+        const depth = rest.includes("**") ? Infinity : rest.split("/").length;
+        const regex = glob_to_regex(pattern);
+        const st_root = await stat(root).catch(() => null);
+        if (!st_root || !st_root.isDirectory()) {
+            throw new InputError(`No files matched: ${arg}`);
+        }
+        let matched = 0;
+        for (const f of await walk_dir(root, depth)) {
+            if (regex.test(f.split(sep).join("/")) && is_media_file(f)) {
+                matched++;
+                if (!out.has(f)) {
+                    out.set(f, { input: f, base: root });
+                }
+            }
+        }
+        if (matched < 1) {
+            throw new InputError(`No files matched: ${arg}`);
+        }
+    }
+    return [...out.values()];
+}
+
+// figure out where a job should write its output
+export function output_path(job, opts) {
+    if (opts.output) {
+        return resolve(opts.output);
+    }
+    const name = basename(job.input, extname(job.input)) + OUTPUT_SUFFIX;
+    const dir = opts.outputDir ? resolve(opts.outputDir) : process.cwd();
+    if (job.base) {
+        return join(dir, relative(job.base, dirname(job.input)), name);
+    }
+    return join(dir, name);
+}
+
+// outputs for every input, two inputs writing to the same file is an error
+export function output_paths(inputs, opts) {
+    const seen = new Map();
+    return inputs.map(i => {
+        const output = output_path(i, opts);
+        if (seen.has(output)) {
+            throw new InputError(`${seen.get(output)} and ${i.input} would both be written to ${output}, rename one or encode them separately`);
+        }
+        seen.set(output, i.input);
+        return output;
+    });
+}
+
+// load persistent queue state, missing file is just an empty queue
+export async function load_queue(file) {
+    try {
+        const data = JSON.parse(await readFile(file, "utf8"));
+        return data.jobs || {};
+    } catch (e) {
+        if (e.code === "ENOENT") {
+            return {};
+        }
+        throw new InputError(`Could not read queue file ${file}: ${e.message}`);
+    }
+}
+
+// write queue state
+export function save_queue(file, jobs) {
+    return write_json(file, { version: 1, jobs });
+}
@@ -0,0 +1,130 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { InputError } from "./errors.js";
+
+// scalers that can be picked, and the closest swscale flag when zscale is missing
+export const SCALERS = {
+    point: "neighbor",
+    bilinear: "bilinear",
+    bicubic: "bicubic",
+    spline16: "spline",
+    spline36: "spline",
+    lanczos: "lanczos"
+};
+
+// ffprobe colour names to zscale ones, linear light scaling needs all of them
+const Z_TRANSFER = {
+    "bt709": "709",
+    "smpte170m": "601",
+    "bt2020-10": "2020_10",
+    "bt2020-12": "2020_12",
+    "smpte2084": "smpte2084",
+    "arib-std-b67": "arib-std-b67"
+};
+const Z_MATRIX = {
+    "bt709": "709",
+    "bt470bg": "470bg",
+    "smpte170m": "170m",
+    "bt2020nc": "2020_ncl"
+};
+const Z_PRIMARIES = {
+    "bt709": "709",
+    "bt470bg": "470bg",
+    "smpte170m": "170m",
+    "bt2020": "2020"
+};
+const Z_RANGE = {
+    tv: "limited",
+    pc: "full"
+};
+
+// zscale names for a streams colours, null if any of them are unknown
+export function zscale_tags(stream) {
+    const t = Z_TRANSFER[stream.color_transfer];
+    const m = Z_MATRIX[stream.color_space];
+    const p = Z_PRIMARIES[stream.color_primaries];
+    if (!t || !m || !p) {
+        return null;
+    }
+    return { t, m, p, r: Z_RANGE[stream.color_range] || "limited" };
+}
+
+// round to a multiple of n, never below n
+function round_to(x, n) {
+    return Math.max(n, Math.round(x / n) * n);
+}
+
+// work out the output size from --resize or --max-height, null if nothing changes
+// width and height are the picture after cropping, full_height the source frame
+// resize is "WxH", a negative side keeps the aspect ratio rounded to a multiple of it
+// max height is for the full frame, so a cropped picture shrinks by the same factor
+export function plan_resize(resize, max_height, width, height, full_height) {
+    let w, h;
+    if (resize) {
+        const m = /^(-?\d+)x(-?\d+)$/.exec(String(resize).trim());
+        if (!m || Number(m[1]) === 0 || Number(m[2]) === 0 || (Number(m[1]) < 0 && Number(m[2]) < 0)) {
+            throw new InputError(`Invalid resize "${resize}", use WxH with -2 for the side that keeps the aspect ratio`);
+        }
+        w = Number(m[1]);
+        h = Number(m[2]);
+        if (w < 0) {
+            w = round_to(h * width / height, -w);
+        }
+        if (h < 0) {
+            h = round_to(w * height / width, -h);
+        }
+    } else {
+        const max = Number(max_height);
+        if (!Number.isInteger(max) || max < 2) {
+            throw new InputError(`Invalid max height "${max_height}"`);
+        }
+        if (full_height <= max) {
+            return null;
+        }
+        h = round_to(height * max / full_height, 2);
+        w = round_to(h * width / height, 2);
+    }
+    if (w % 2 !== 0 || h % 2 !== 0) {
+        throw new InputError(`Resize to ${w}x${h} has to be on even pixels`);
+    }
+    if (w === width && h === height) {
+        return null;
+    }
+    return { w, h, from_w: width, from_h: height };
+}
+
+// ffmpeg filters for a resize
+// with zscale and known colours it's done in linear light and converted back to the same tags,
+// so what x265 is told about the colours stays true
+export function scale_filters(resize, scaler, stream, zscale) {
+    if (!zscale) {
+        return { linear: false, filters: [`scale=${resize.w}:${resize.h}:flags=${SCALERS[scaler]}`] };
+    }
+    const tags = zscale_tags(stream);
+    if (!tags) {
+        return { linear: false, filters: [`zscale=w=${resize.w}:h=${resize.h}:f=${scaler}`] };
+    }
+    const { t, m, p, r } = tags;
+    return {
+        linear: true,
+        filters: [
+            `zscale=tin=${t}:min=${m}:pin=${p}:rin=${r}:t=linear:npl=10000`,
+            "format=gbrpf32le",
+            `zscale=w=${resize.w}:h=${resize.h}:f=${scaler}`,
+            `zscale=t=${t}:m=${m}:p=${p}:r=${r}:npl=10000`,
+            `format=${stream.pix_fmt}`
+        ]
+    };
+}
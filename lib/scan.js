@@ -0,0 +1,128 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { FFPROBE } from "./tools.js";
+import { spawn_tool, supervise, tool_error } from "./proc.js";
+
+// how the title is scanned for hdr formats, first is the first frame only
+export const SCAN_MODES = ["sample", "full", "first"];
+
+// points sampled across the title and frames read at each
+const SCAN_SAMPLES = 10;
+const SCAN_FRAMES = 5;
+
+// per frame side data of dynamic formats, by the name detect_hdr uses
+export const DYNAMIC_FORMATS = {
+    "Dolby Vision": ["Dolby Vision RPU Data", "Dolby Vision Metadata"],
+    "HDR10+": ["HDR Dynamic Metadata SMPTE2094-40 (HDR10+)"]
+};
+
+// ffprobe -read_intervals for a scan, null reads everything
+function scan_intervals(mode, duration) {
+    if (mode === "full") {
+        return null;
+    }
+    if (mode === "first" || isNaN(duration)) {
+        return `%+#${SCAN_FRAMES}`;
+    }
+    const points = [];
+    for (let i = 0; i < SCAN_SAMPLES; i++) {
+        points.push(`${(duration * i / SCAN_SAMPLES).toFixed(3)}%+#${SCAN_FRAMES}`);
+    }
+    return points.join(",");
+}
+
+// read the side data types of video frames across the title
+// compact output is parsed as it comes, a full scan would be far too big as json
+// resolves with [{ frame, types }] in stream order, frame numbers come from the timestamps
+export function scan_frames(input, index, mode, duration, fps, v) {
+    const intervals = scan_intervals(mode, duration);
+    const args = [
+        "-hide_banner",
+        "-v", "error",
+        "-select_streams", String(index),
+        "-show_frames",
+        "-of", "compact",
+        ...(intervals ? ["-read_intervals", intervals] : []),
+        "-i", input
+    ];
+    return new Promise((res, rej) => {
+        const frames = [];
+        let rest = "", current = null;
+        const parse = text => {
+            for (const token of text.split(/[|\n]/)) {
+                if (token === "frame") {
+                    current = { frame: null, types: new Set() };
+                    frames.push(current);
+                } else if (current && current.frame === null && token.startsWith("pts_time=")) {
+                    const t = Number(token.slice(9));
+                    current.frame = isNaN(t) ? frames.length - 1 : Math.round(t * fps);
+                } else if (current && token.startsWith("side_data_type=")) {
+                    current.types.add(token.slice(15));
+                }
+            }
+        };
+        const proc = spawn_tool(FFPROBE, args, ["ignore", "pipe", "pipe"], v);
+        proc.stdout.on("data", d => {
+            const lines = (rest + d.toString()).split("\n");
+            rest = lines.pop();
+            parse(lines.join("\n"));
+        });
+        supervise([proc]).then(failed => {
+            if (failed) {
+                return rej(tool_error("Scanning for HDR formats failed", failed));
+            }
+            parse(rest);
+            for (const [i, f] of frames.entries()) {
+                f.frame = f.frame ?? i;
+            }
+            res(frames);
+        });
+    });
+}
+
+// frame ranges with and without each dynamic format, only back to back frames join up
+// so the points of a sampled scan stay apart
+// { "HDR10+": { present: [[first, last]], missing: [...] } } for formats seen anywhere
+export function format_ranges(frames) {
+    const out = {};
+    for (const [name, types] of Object.entries(DYNAMIC_FORMATS)) {
+        const ranges = { present: [], missing: [] };
+        let last = null, prev = null;
+        for (const f of frames) {
+            const has = types.some(t => f.types.has(t));
+            const list = has ? ranges.present : ranges.missing;
+            if (last === has && f.frame - prev <= 1) {
+                list[list.length - 1][1] = f.frame;
+            } else {
+                list.push([f.frame, f.frame]);
+            }
+            last = has;
+            prev = f.frame;
+        }
+        if (ranges.present.length > 0) {
+            out[name] = ranges;
+        }
+    }
+    return out;
+}
+
+// "0-119, 2000-2004" with a limit on how many are listed
+export function ranges_string(ranges, limit = 5) {
+    const list = ranges.slice(0, limit).map(([a, b]) => a === b ? String(a) : `${a}-${b}`);
+    if (ranges.length > limit) {
+        list.push(`and ${ranges.length - limit} more`);
+    }
+    return list.join(", ");
+}
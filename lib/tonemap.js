@@ -0,0 +1,76 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { zscale_tags } from "./scale.js";
+import { PreflightError } from "./errors.js";
+
+// tonemapping curves that can be picked
+export const TONEMAPPERS = ["hable", "mobius", "bt2390"];
+
+// transfers that need tonemapping for sdr
+const HDR_TRANSFERS = ["smpte2084", "arib-std-b67"];
+
+export function is_hdr(stream) {
+    return HDR_TRANSFERS.includes(stream.color_transfer);
+}
+
+// ffmpeg filters tonemapping to bt.709 sdr in the given pixel format
+// hable and mobius run through zscale and the cpu tonemap filter,
+// bt2390 and curves guided per scene by dynamic metadata need libplacebo
+// available is the list of filters ffmpeg has or null if unknown, returns { filters, dynamic }
+export function tonemap_filters(algo, stream, pix_fmt, hdr, dynamic, available) {
+    const has = name => !available || available.includes(name);
+    const missing = name => new PreflightError([`Tonemapping with ${name} needs an ffmpeg built with it, see "hdr-sucks doctor"`]);
+    // profile 5 has to go through libplacebo to get its colours right at all
+    const p5 = hdr.dv_profile === 5;
+    if (algo === "bt2390" || dynamic || p5) {
+        if (!has("libplacebo")) {
+            throw missing("libplacebo");
+        }
+        let curve = "bt.2390", guide = null, extra = "";
+        if (dynamic && hdr.dv) {
+            curve = "st2094-10";
+            guide = "Dolby Vision";
+            extra = ":apply_dolbyvision=1";
+        } else if (dynamic && hdr.plus) {
+            curve = "st2094-40";
+            guide = "HDR10+";
+        } else if (p5) {
+            extra = ":apply_dolbyvision=1";
+        }
+        if (!guide && algo !== "bt2390") {
+            curve = algo;
+        }
+        return {
+            dynamic: guide,
+            filters: [`libplacebo=tonemapping=${curve}${extra}:colorspace=bt709:color_primaries=bt709:color_trc=bt709:range=tv:format=${pix_fmt}`]
+        };
+    }
+    if (!has("zscale") || !has("tonemap")) {
+        throw missing("zscale and tonemap");
+    }
+    const tags = zscale_tags(stream);
+    const input = tags ? `tin=${tags.t}:min=${tags.m}:pin=${tags.p}:rin=${tags.r}:` : "";
+    return {
+        dynamic: null,
+        filters: [
+            `zscale=${input}t=linear:npl=100`,
+            "format=gbrpf32le",
+            "zscale=p=709",
+            `tonemap=tonemap=${algo}:desat=0`,
+            "zscale=t=709:m=709:r=limited",
+            `format=${pix_fmt}`
+        ]
+    };
+}
@@ -0,0 +1,24 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+// tools used
+export const FFMPEG = process.env.FFMPEG_PATH || "ffmpeg";
+export const FFPROBE = process.env.FFPROBE_PATH || "ffprobe";
+export const DOVI_TOOL = process.env.DOVI_PATH || "dovi_tool";
+export const HDR10PLUS_TOOL = process.env.HDR10PLUS_PATH || "hdr10plus_tool";
+export const X265 = process.env.X265_PATH || "x265";
+export const MKVMERGE = process.env.MKVMERGE_PATH || "mkvmerge";
+
+// ffmpeg progress line, spaces have to be stripped first
+export const FFMPEG_REGEX = /size=(?<size>(?:[0-9]+[a-zA-Z]{2,3})|N\/A)time=(?<time>-*[0-9]{2}:[0-9]{2}:[0-9]{2}.[0-9]{2})bitrate=(?<bitrate>(?:-*[0-9]+\.[0-9]+)|N\/A).*speed=(?<speed>[0-9]+(?:\.[0-9]+)?)x/;
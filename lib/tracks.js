@@ -0,0 +1,208 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { InputError } from "./errors.js";
+
+// keys that pick tracks, shared by selectors and audio rules
+export const SELECTOR_KEYS = ["type", "index", "codec", "channels", "lang", "disposition"];
+
+// how tracks can be ordered, a list of stream indexes works too
+export const TRACK_ORDERS = ["source", "language"];
+
+// track types hdr-sucks copies from the source
+const TYPES = ["audio", "subtitle"];
+
+// short names for long ffprobe names
+const CODEC_ALIASES = { pgs: "hdmv_pgs_subtitle", srt: "subrip", vobsub: "dvd_subtitle" };
+const DISPOSITION_ALIASES = { sdh: "hearing_impaired", commentary: "comment" };
+
+// "key=value,..." or an object into key value pairs, fail makes the error
+export function rule_entries(rule, fail) {
+    if (typeof rule === "string") {
+        return rule.split(",").filter(x => x.length > 0).map(x => {
+            const eq = x.indexOf("=");
+            if (eq < 1) {
+                throw fail(`"${x}" isn't key=value`);
+            }
+            return [x.slice(0, eq).trim(), x.slice(eq + 1).trim()];
+        });
+    }
+    if (typeof rule === "object" && rule !== null && !Array.isArray(rule)) {
+        return Object.entries(rule);
+    }
+    throw fail("expected key=value pairs or an object");
+}
+
+// a selector value into what match_selector wants
+// lists are split with "/", channels are a count, "6+" or "2-"
+export function selector_value(k, v, fail) {
+    const list = (Array.isArray(v) ? v : String(v).split("/")).map(x => String(x).trim().toLowerCase());
+    if (k === "type") {
+        for (const t of list) {
+            if (!TYPES.includes(t)) {
+                throw fail(`type "${t}" isn't one of ${TYPES.join(", ")}`);
+            }
+        }
+        return list;
+    }
+    if (k === "index") {
+        const out = list.map(Number);
+        if (!out.every(i => Number.isInteger(i) && i >= 0)) {
+            throw fail(`index "${v}" isn't a stream index`);
+        }
+        return out;
+    }
+    if (k === "codec") {
+        return list.map(c => CODEC_ALIASES[c] || c);
+    }
+    if (k === "disposition") {
+        return list.map(d => DISPOSITION_ALIASES[d] || d);
+    }
+    if (k === "channels") {
+        const m = /^(\d+)([+-]?)$/.exec(String(v));
+        if (!m) {
+            throw fail(`channels "${v}" isn't a count, N+ or N-`);
+        }
+        const n = Number(m[1]);
+        return { min: m[2] === "-" ? 0 : n, max: m[2] === "+" ? Infinity : n };
+    }
+    return list;
+}
+
+// a track selector like "type=subtitle,lang=ger/fre" or "disposition=sdh"
+export function parse_selector(rule) {
+    const name = typeof rule === "string" ? rule : JSON.stringify(rule);
+    const fail = msg => new InputError(`Invalid track selector ${name}, ${msg}`);
+    const out = {};
+    for (const [k, v] of rule_entries(rule, fail)) {
+        if (!SELECTOR_KEYS.includes(k)) {
+            throw fail(`unknown key "${k}", expected one of ${SELECTOR_KEYS.join(", ")}`);
+        }
+        out[k] = selector_value(k, v, fail);
+    }
+    return out;
+}
+
+// language tag of a stream, und without one
+export function stream_lang(stream) {
+    const tag = Object.entries(stream.tags || {}).find(([k]) => k.toLowerCase() === "language");
+    return tag ? tag[1].toLowerCase() : "und";
+}
+
+// does a selector match a stream, every given key has to
+// is_lossless is passed in for the "lossless" codec of audio rules
+export function match_selector(sel, stream, is_lossless = () => false) {
+    if (sel.type && !sel.type.includes(stream.codec_type)) {
+        return false;
+    }
+    if (sel.index && !sel.index.includes(stream.index)) {
+        return false;
+    }
+    if (sel.codec && !sel.codec.includes(stream.codec_name) && !(sel.codec.includes("lossless") && is_lossless(stream))) {
+        return false;
+    }
+    if (sel.channels) {
+        const channels = stream.channels || 2;
+        if (stream.codec_type !== "audio" || channels < sel.channels.min || channels > sel.channels.max) {
+            return false;
+        }
+    }
+    if (sel.lang && !sel.lang.includes(stream_lang(stream))) {
+        return false;
+    }
+    if (sel.disposition && !sel.disposition.some(k => stream.disposition && stream.disposition[k] === 1)) {
+        return false;
+    }
+    return true;
+}
+
+// a comma separated language list, null for none
+export function parse_langs(value) {
+    return value ? String(value).split(",").map(x => x.trim().toLowerCase()).filter(x => x.length > 0) : null;
+}
+
+// pick the source audio and subtitle tracks to keep
+// --keep wins over --drop, which wins over the language lists
+export function select_tracks(streams, sel) {
+    const kept = [], dropped = [];
+    for (const s of streams.filter(x => TYPES.includes(x.codec_type))) {
+        const langs = sel.langs[s.codec_type];
+        if (sel.keep.some(k => match_selector(k, s))) {
+            kept.push(s);
+        } else if (sel.drop.some(k => match_selector(k, s)) || (langs && !langs.includes(stream_lang(s)))) {
+            dropped.push(s);
+        } else {
+            kept.push(s);
+        }
+    }
+    return { kept, dropped };
+}
+
+// kept tracks in output order, audio before subtitles
+// "language" sorts by the language lists, a list of indexes puts those first
+export function order_tracks(kept, order, langs) {
+    const rank = s => {
+        const type = TYPES.indexOf(s.codec_type);
+        if (Array.isArray(order)) {
+            const i = order.indexOf(s.index);
+            return [i === -1 ? Infinity : i, type];
+        }
+        if (order === "language" && langs[s.codec_type]) {
+            const i = langs[s.codec_type].indexOf(stream_lang(s));
+            return [type, i === -1 ? Infinity : i];
+        }
+        return [type, 0];
+    };
+    // sort is stable, so ties stay in source order
+    return [...kept].sort((a, b) => {
+        const [a1, a2] = rank(a), [b1, b2] = rank(b);
+        return a1 - b1 || a2 - b2 || 0;
+    });
+}
+
+// a --track-order value, "source", "language" or comma separated stream indexes
+export function parse_order(value) {
+    if (TRACK_ORDERS.includes(value)) {
+        return value;
+    }
+    const list = String(value).split(",").map(Number);
+    if (!list.every(i => Number.isInteger(i) && i >= 0)) {
+        throw new InputError(`Invalid track order "${value}", use ${TRACK_ORDERS.join(", ")} or stream indexes like 3,1,2`);
+    }
+    return list;
+}
+
+// default and forced flag overrides, per type the first match of --default is the only default
+// and matches of --forced are the only forced ones, returns index -> { default, forced }
+export function flag_overrides(ordered, defaults, forced) {
+    const out = {};
+    for (const type of TYPES) {
+        const list = ordered.filter(s => s.codec_type === type);
+        const first = list.find(s => defaults.some(k => match_selector(k, s)));
+        const any_forced = list.some(s => forced.some(k => match_selector(k, s)));
+        for (const s of list) {
+            const flags = {};
+            if (first) {
+                flags.default = s === first ? 1 : 0;
+            }
+            if (any_forced) {
+                flags.forced = forced.some(k => match_selector(k, s)) ? 1 : 0;
+            }
+            if (Object.keys(flags).length > 0) {
+                out[s.index] = flags;
+            }
+        }
+    }
+    return out;
+}
@@ -0,0 +1,231 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { createReadStream, createWriteStream } from "node:fs";
+import { rm } from "node:fs/promises";
+import { finished, pipeline } from "node:stream/promises";
+import { FFMPEG, FFMPEG_REGEX, X265 } from "./tools.js";
+import { average_of, generate_temp_name } from "./util.js";
+import { spawn_tool, stop, supervise, tool_error } from "./proc.js";
+import { ToolError } from "./errors.js";
+
+const X265_REGEX = /([0-9]+) frames: ([0-9]+\.[0-9]+) fps, ([0-9]+\.[0-9]+) kb\/s/;
+const X265_DONE_REGEX = /encoded ([0-9]+) frames/;
+
+// spawn a ffmpeg -> x265 pipe, on_progress gets every parsed x265 status line
+// resolves with the failure if either side fails, and the frame count x265 reported
+// both processes are added to group if given, so other work can stop them
+export async function x265_pipe(ff_args, x265_args, v, on_progress, group = null) {
+    const ff_proc = spawn_tool(FFMPEG, ff_args, ["ignore", "pipe", "pipe"]);
+    const x265_proc = spawn_tool(X265, x265_args, ["pipe", "ignore", "pipe"], v);
+    if (group) {
+        group.add(ff_proc);
+        group.add(x265_proc);
+    }
+
+    let encoded = null;
+    x265_proc.stderr.on("data", l => {
+        const str = l.toString();
+        const done = X265_DONE_REGEX.exec(str);
+        if (done) {
+            encoded = Number(done[1]);
+        }
+        const result = X265_REGEX.exec(str);
+        if (result) {
+            on_progress(result);
+        }
+    });
+
+    ff_proc.stdout.pipe(x265_proc.stdin);
+    const failed = await supervise([ff_proc, x265_proc]);
+    return { failed, encoded };
+}
+
+// transcode using x265 through ffmpeg, resolves with { failed, encoded } like x265_pipe
+export function transcode(ff_args, x265_args, frames, v, on_progress) {
+    let avg = [];
+    return x265_pipe(ff_args, x265_args, v, result => {
+        const fps = Number(result[2]);
+        if (avg.length === 500) {
+            avg.shift();
+        }
+        avg.push(fps);
+        const avg_ = average_of(avg);
+        const doneFrames = Number(result[1]);
+        const eta = Math.round((frames - doneFrames) / avg_);
+        on_progress({ frame: doneFrames, frames, fps, kbps: Number(result[3]), eta });
+    });
+}
+
+// find scene cuts using ffmpegs scene score, returns output frame numbers
+// frame_of turns a time in seconds into the frame shown then
+export function detect_scenes(ff_args, threshold, duration, frame_of, v, on_progress) {
+    return new Promise(res => {
+        let bufsErr = [];
+
+        // run the same decode as the transcode, just downscaled and into select
+        const args = ff_args.slice(0, -5);
+        const vf = args.indexOf("-vf");
+        const filter = `scale=-2:270,select='gt(scene,${threshold})',showinfo`;
+        if (vf !== -1) {
+            args[vf + 1] += `,${filter}`;
+        } else {
+            args.push("-vf", filter);
+        }
+        args.push("-an", "-f", "null", "-");
+
+        const proc = spawn_tool(FFMPEG, args, ["ignore", "ignore", "pipe"]);
+        proc.stderr.on("data", d => {
+            bufsErr.push(d);
+            if (v) {
+                return;
+            }
+            for (const line of d.toString().split("\r")) {
+                const result = FFMPEG_REGEX.exec(line.replace(/ /g, ""));
+                if (result) {
+                    on_progress({ time: result.groups.time, duration, speed: Number(result.groups.speed) });
+                }
+            }
+        });
+        supervise([proc]).then(failed => {
+            if (failed) {
+                return res({ failed, cuts: [] });
+            }
+            const str = Buffer.concat(bufsErr).toString();
+            const cuts = [];
+            for (const m of str.matchAll(/Parsed_showinfo.*pts_time:\s*([0-9.]+)/g)) {
+                const n = frame_of(Number(m[1]));
+                if (n > 0 && n !== cuts[cuts.length - 1]) {
+                    cuts.push(n);
+                }
+            }
+            res({ failed: null, cuts });
+        });
+    });
+}
+
+// split the frame range into chunks on scene cuts, each at least min_len frames
+export function plan_chunks(cuts, total, min_len) {
+    const bounds = [0];
+    for (const c of cuts) {
+        if (c - bounds[bounds.length - 1] >= min_len && total - c >= min_len) {
+            bounds.push(c);
+        }
+    }
+    return bounds.map((start, i) => ({
+        start,
+        end: i + 1 < bounds.length ? bounds[i + 1] : total,
+        last: i + 1 === bounds.length
+    }));
+}
+
+// transcode chunks with several x265 workers at once
+// the chunks are cut exactly on frame numbers so dynamic hdr metadata still lines up
+// seek_of is where to seek in the source for a frame, half a frame early so rounding can't skip it
+// resolves with the number of frames encoded over all chunks
+export async function transcode_chunks(ff_args, x265_args, chunks, frames, seek_of, workers, exact_end, v, on_progress) {
+    const output = x265_args[x265_args.indexOf("--output") + 1];
+
+    // ffmpeg args for a chunk, the trim is replaced by seeks and frame counts per chunk
+    const base = ff_args.slice();
+    for (const opt of ["-ss", "-frames:v"]) {
+        const i = base.indexOf(opt);
+        if (i !== -1) {
+            base.splice(i, 2);
+        }
+    }
+    for (const [i, chunk] of chunks.entries()) {
+        chunk.path = generate_temp_name(`.${i}.hevc`);
+        chunk.ff_args = base.slice();
+        const seek = seek_of(chunk.start);
+        if (seek > 0) {
+            chunk.ff_args.unshift("-ss", seek.toFixed(6));
+        }
+        if (!chunk.last || exact_end) {
+            chunk.ff_args.splice(chunk.ff_args.length - 1, 0, "-frames:v", String(chunk.end - chunk.start));
+        }
+        chunk.x265_args = x265_args.slice();
+        chunk.x265_args[chunk.x265_args.indexOf("--output") + 1] = chunk.path;
+        chunk.done = 0;
+        chunk.fps = 0;
+        chunk.kbps = 0;
+    }
+
+    // combined progress line for all workers
+    let avg = [];
+    const progress = () => {
+        const running = chunks.filter(c => c.running);
+        const done = chunks.reduce((a, c) => a + c.done, 0);
+        const fps = running.reduce((a, c) => a + c.fps, 0);
+        const kbps = done > 0 ? chunks.reduce((a, c) => a + c.kbps * c.done, 0) / done : 0;
+        if (avg.length === 500) {
+            avg.shift();
+        }
+        avg.push(fps);
+        const eta = Math.round((frames - done) / average_of(avg));
+        on_progress({ frame: done, frames, fps, kbps, eta, workers: running.length });
+    };
+
+    // worker pool, one failed chunk stops all the others
+    const queue = chunks.slice();
+    const group = new Set();
+    let failed = null;
+    const fail = e => {
+        failed = failed || e;
+        for (const proc of group) {
+            stop(proc);
+        }
+    };
+    const worker = async () => {
+        while (queue.length > 0 && !failed) {
+            const chunk = queue.shift();
+            const i = chunks.indexOf(chunk);
+            chunk.running = true;
+            const r = await x265_pipe(chunk.ff_args, chunk.x265_args, v, result => {
+                chunk.done = Number(result[1]);
+                chunk.fps = Number(result[2]);
+                chunk.kbps = Number(result[3]);
+                progress();
+            }, group);
+            chunk.running = false;
+            if (r.failed) {
+                return fail(tool_error(`Transcode of chunk ${i} failed`, r.failed));
+            }
+            if (r.encoded !== null) {
+                chunk.done = r.encoded;
+                if ((!chunk.last || exact_end) && r.encoded !== chunk.end - chunk.start) {
+                    return fail(new ToolError(`Transcode of chunk ${i} failed, encoded ${r.encoded} frames but expected ${chunk.end - chunk.start}`, { tool: X265 }));
+                }
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(workers, chunks.length) }, worker));
+
+    // annex b streams starting with an idr can just be appended
+    if (!failed) {
+        const out = createWriteStream(output);
+        for (const chunk of chunks) {
+            await pipeline(createReadStream(chunk.path), out, { end: false });
+        }
+        out.end();
+        await finished(out);
+    }
+    for (const chunk of chunks) {
+        await rm(chunk.path, { force: true });
+    }
+    if (failed) {
+        throw failed;
+    }
+    return chunks.reduce((a, c) => a + c.done, 0);
+}
@@ -0,0 +1,102 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { rename, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { randomBytes } from "node:crypto";
+import { track_temp } from "./proc.js";
+
+// temp and output naming
+export const TEMP_BASE = ".hdrsucks-";
+export const OUTPUT_SUFFIX = ".hdr-sucks.mkv";
+
+// generate temporary file name, tracked by the running job if there is one
+export function generate_temp_name(extra = "") {
+    return track_temp(join(process.cwd(), TEMP_BASE + randomBytes(3).toString("hex") + extra));
+}
+
+// "safe" numerator/denominator parser
+export function parse_slash_number(input) {
+    const s = input.split("/");
+    if (s.length < 2) {
+        return Number(input);
+    }
+    if (s.length > 2 || isNaN(Number(s[0])) || isNaN(Number(s[1]))) {
+        return NaN;
+    }
+    return Number(s[0]) / Number(s[1]);
+}
+
+// seconds to HH:MM:SS
+// loaned from https://stackoverflow.com/a/34841026
+export function toHHMMSS(secs) {
+    const sec_num = parseInt(secs, 10);
+    const hours = Math.floor(sec_num / 3600);
+    const minutes = Math.floor(sec_num / 60) % 60;
+    const seconds = sec_num % 60;
+
+    return [hours, minutes, seconds]
+        .map(v => v < 10 ? "0" + v : v)
+        .join(":");
+}
+
+// parse a position or length given as seconds, [HH:]MM:SS[.ms] or a frame number like "1200f"
+// returns { frame } or { seconds }, null if it makes no sense
+export function parse_position(input) {
+    const str = String(input).trim();
+    let m = /^(\d+)f$/.exec(str);
+    if (m) {
+        return { frame: Number(m[1]) };
+    }
+    m = /^(?:(\d+):)?(\d+):(\d+(?:\.\d+)?)$/.exec(str);
+    if (m) {
+        return { seconds: Number(m[1] || 0) * 3600 + Number(m[2]) * 60 + Number(m[3]) };
+    }
+    if (/^\d+(?:\.\d+)?$/.test(str)) {
+        return { seconds: Number(str) };
+    }
+    return null;
+}
+
+// milliseconds to HH:MM:SS.nnn for mkvmerge
+export function mkv_timestamp(ms) {
+    const h = Math.floor(ms / 3600000);
+    const m = Math.floor(ms / 60000) % 60;
+    const s = (ms % 60000) / 1000;
+    return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}:${s.toFixed(3).padStart(6, "0")}`;
+}
+
+// average calc for number array
+export function average_of(arr) {
+    let total = 0;
+    for (const n of arr) {
+        total += n;
+    }
+    return total / arr.length;
+}
+
+// write json through a temp file so a crash can't leave it half written
+export async function write_json(file, data) {
+    const temp = file + ".tmp";
+    await writeFile(temp, JSON.stringify(data, null, 4));
+    await rename(temp, file);
+}
+
+// quote arguments for showing as a shell command
+export function shell_quote(args) {
+    return args
+        .map(a => String(a))
+        .map(a => /^[\w@%+=:,./-]+$/.test(a) ? a : `'${a.replace(/'/g, "'\\''")}'`)
+        .join(" ");
+}
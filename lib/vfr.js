@@ -0,0 +1,124 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { writeFile } from "node:fs/promises";
+import { FFPROBE } from "./tools.js";
+import { spawn_tool, supervise, tool_error } from "./proc.js";
+import { parse_slash_number } from "./util.js";
+
+// when frame timestamps are read, auto only does it when the stream's frame rates disagree
+export const VFR_MODES = ["auto", "scan", "off"];
+
+// intervals further off the usual one than this are a rate change, in ms
+// matroska rounds timestamps to ms, so constant rates already wobble by one
+const VFR_JITTER = 1.5;
+
+// share of intervals that can be off before the stream counts as variable
+const VFR_SHARE = 0.001;
+
+// do the average and the guessed frame rate of a stream disagree
+export function rates_differ(stream) {
+    const r = parse_slash_number(stream.r_frame_rate), avg = parse_slash_number(stream.avg_frame_rate || "0/0");
+    return !(avg > 0) || Math.abs(r - avg) / avg > 0.001;
+}
+
+// presentation timestamps of every frame of a stream in ms, in presentation order
+// packets are read without decoding, discarded ones are left out
+export function read_timestamps(input, index, v) {
+    const args = [
+        "-hide_banner",
+        "-v", "error",
+        "-select_streams", String(index),
+        "-show_entries", "packet=pts_time,flags",
+        "-of", "csv=p=0",
+        "-i", input
+    ];
+    return new Promise((res, rej) => {
+        const times = [];
+        let rest = "";
+        const parse = lines => {
+            for (const line of lines) {
+                const [pts, flags = ""] = line.split(",");
+                const t = Number(pts);
+                if (line.length > 0 && !isNaN(t) && !flags.includes("D")) {
+                    times.push(Math.round(t * 1000));
+                }
+            }
+        };
+        const proc = spawn_tool(FFPROBE, args, ["ignore", "pipe", "pipe"], v);
+        proc.stdout.on("data", d => {
+            const lines = (rest + d.toString()).split("\n");
+            rest = lines.pop();
+            parse(lines);
+        });
+        supervise([proc]).then(failed => {
+            if (failed) {
+                return rej(tool_error("Reading frame timestamps failed", failed));
+            }
+            parse([rest]);
+            res(times.sort((a, b) => a - b));
+        });
+    });
+}
+
+// does the spacing of the timestamps change over the stream
+export function is_vfr(times) {
+    if (times.length < 3) {
+        return false;
+    }
+    const gaps = times.slice(1).map((t, i) => t - times[i]);
+    const usual = [...gaps].sort((a, b) => a - b)[gaps.length >> 1];
+    const off = gaps.filter(g => Math.abs(g - usual) > VFR_JITTER).length;
+    return off / gaps.length > VFR_SHARE;
+}
+
+// timestamp of a frame, one interval past either end for frames outside
+export function time_of(times, n) {
+    if (n < 0) {
+        return times[0] + n * (times.length > 1 ? times[1] - times[0] : 0);
+    }
+    if (n >= times.length) {
+        const last = times.length - 1;
+        return times[last] + (n - last) * (last > 0 ? times[last] - times[last - 1] : 0);
+    }
+    return times[n];
+}
+
+// timestamps for yadif's doubled rate, every frame gets one halfway to the next
+export function double_timestamps(times) {
+    const out = [];
+    for (let i = 0; i < times.length; i++) {
+        out.push(times[i], Math.round((times[i] + time_of(times, i + 1)) / 2));
+    }
+    return out;
+}
+
+// first frame at or after a time in ms, the frame count when it's past the end
+export function frame_at(times, ms) {
+    let lo = 0, hi = times.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (times[mid] < ms) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+    return lo;
+}
+
+// mkvmerge timestamp file, format v2 is one timestamp in ms per frame
+export function write_timecodes(file, times) {
+    return writeFile(file, `# timestamp format v2\n${times.join("\n")}\n`);
+}
@@ -0,0 +1,147 @@
+/* Copyright (c) 2025, ThaCheeseBun
+
+Permission to use, copy, modify, and/or distribute this software for any
+purpose with or without fee is hereby granted, provided that the above
+copyright notice and this permission notice appear in all copies.
+
+THE SOFTWARE IS PROVIDED "AS IS" AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR ANY
+SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN ACTION
+OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF OR IN
+CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE. */
+
+import { InputError } from "./errors.js";
+
+// options hdr-sucks sets from the source, overriding them works but is warned about
+const MANAGED = {
+    "output-depth": "bit depth",
+    "range": "colour metadata",
+    "colorprim": "colour metadata",
+    "transfer": "colour metadata",
+    "colormatrix": "colour metadata",
+    "master-display": "HDR metadata",
+    "max-cll": "HDR metadata"
+};
+
+// options the pipeline itself depends on, these can't be overridden
+const FIXED = ["input", "y4m", "output", "input-depth", "input-res", "input-csp", "fps"];
+
+// split x265's own "key=value:flag:no-flag" syntax
+// a colon inside a value needs to be escaped as "\:" or the value quoted
+export function parse_param_string(str) {
+    const out = [];
+    let cur = "", quote = null;
+    for (let i = 0; i < str.length; i++) {
+        const c = str[i];
+        if (c === "\\" && i + 1 < str.length) {
+            cur += str[++i];
+        } else if (quote) {
+            if (c === quote) {
+                quote = null;
+            } else {
+                cur += c;
+            }
+        } else if (c === "\"" || c === "'") {
+            quote = c;
+        } else if (c === ":") {
+            out.push(cur);
+            cur = "";
+        } else {
+            cur += c;
+        }
+    }
+    if (quote) {
+        throw new InputError(`Unterminated quote in x265 parameters "${str}"`);
+    }
+    out.push(cur);
+    return out.filter(p => p.trim().length > 0).map(parse_param);
+}
+
+// a single "key=value", "flag" or "no-flag", leading dashes are fine
+// returns [key, value] where value is true for flags and false for negations
+export function parse_param(str) {
+    const eq = str.indexOf("=");
+    let key = (eq === -1 ? str : str.slice(0, eq)).trim().replace(/^--/, "").toLowerCase();
+    let value = eq === -1 ? true : str.slice(eq + 1);
+    if (value === true && key.startsWith("no-")) {
+        key = key.slice(3);
+        value = false;
+    }
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(key)) {
+        throw new InputError(`Invalid x265 parameter "${str}"`);
+    }
+    return [key, value];
+}
+
+// turn the different ways of giving params into [key, value] pairs
+// sources are x265 param strings, "key=value" strings from --x265, or objects from a profile
+export function collect_params(sources) {
+    const out = [];
+    for (const source of sources) {
+        if (!source) {
+            continue;
+        }
+        if (typeof source === "string") {
+            out.push(parse_param(source));
+        } else if (Array.isArray(source)) {
+            out.push(...collect_params(source));
+        } else {
+            for (const [k, v] of Object.entries(source)) {
+                const [key, flag] = parse_param(k);
+                // { "no-sao": true } is the same as { "sao": false }
+                const value = typeof v === "boolean" ? (flag === false ? !v : v) : String(v);
+                out.push([key, value]);
+            }
+        }
+    }
+    return out;
+}
+
+// parse generated command line args into an ordered param map
+export function args_to_params(args) {
+    const params = new Map();
+    for (let i = 0; i < args.length; i++) {
+        const [key, value] = parse_param(args[i]);
+        if (i + 1 < args.length && !args[i + 1].startsWith("--")) {
+            params.set(key, args[++i]);
+        } else {
+            params.set(key, value);
+        }
+    }
+    return params;
+}
+
+// x265 command line args from a param map
+export function params_to_args(params) {
+    const out = [];
+    for (const [k, v] of params) {
+        if (v === true) {
+            out.push(`--${k}`);
+        } else if (v === false) {
+            out.push(`--no-${k}`);
+        } else {
+            out.push(`--${k}`, v);
+        }
+    }
+    return out;
+}
+
+// apply user params over the generated ones, user values win
+// returns the merged map and warnings about anything hdr-sucks manages itself
+export function merge_params(auto, user) {
+    const params = new Map(auto);
+    const warnings = [];
+    for (const [k, v] of user) {
+        if (FIXED.includes(k)) {
+            warnings.push(`Ignoring x265 parameter "${k}", it is set by hdr-sucks`);
+            continue;
+        }
+        if (MANAGED[k] && auto.has(k) && auto.get(k) !== v) {
+            warnings.push(`x265 parameter "${k}" overrides the ${MANAGED[k]} from the source (${auto.get(k)} -> ${v})`);
+        }
+        params.set(k, v);
+    }
+    return { params, warnings };
+}